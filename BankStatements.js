@@ -0,0 +1,554 @@
+/**
+ * Bank statement import for Procesare_Facturi
+ * Reads MT940 and ISO 20022 CAMT.053 statements, settles invoices with the outgoing payments
+ * ("Suma ramasa", "Status" and a payment reference) and keeps unmatched lines for manual assignment
+ */
+
+/**
+ * One booked statement line
+ * @typedef {Object} BankTransaction
+ * @property {string} key - Identifies the line across imports of the same statement
+ * @property {string} bookingDate - "yyyy-MM-dd"
+ * @property {number} amount - Positive amount
+ * @property {string} direction - 'debit' (outgoing), 'credit' (incoming) or 'reversal'
+ * @property {string} currency - ISO 4217 code
+ * @property {string} counterpartyName - Beneficiary of a debit, payer of a credit
+ * @property {string} counterpartyIban - Counterparty IBAN ('' when unknown)
+ * @property {string} remittance - Remittance information (payment details)
+ * @property {string} reference - Bank reference of the line
+ */
+
+/**
+ * Romanian IBAN, as written in statement texts
+ */
+const ROMANIAN_IBAN_PATTERN = /RO\d{2}[A-Z]{4}[A-Z0-9]{16}/;
+
+/**
+ * Parses an MT940 statement. The :86: details are read as "?NN" subfields (?20-?29 remittance,
+ * ?31 IBAN, ?32-?33 name), as "/CODE/value" pairs (REMI, NAME, BENM, IBAN) or as free text.
+ * @param {string} text - Statement content
+ * @returns {BankTransaction[]}
+ */
+function parseMt940(text) {
+  // Each tag runs until the next line starting with ":NN:" or ":NNA:"
+  const fields = [];
+  text.replace(/\r/g, '').split('\n').forEach(line => {
+    const match = /^:(\d{2}[A-Z]?):(.*)$/.exec(line);
+    if (match) {
+      fields.push({ tag: match[1], value: match[2] });
+    } else if (fields.length > 0 && line.trim() !== '' && line.trim() !== '-}' && line.trim() !== '-') {
+      fields[fields.length - 1].value += `\n${line}`;
+    }
+  });
+
+  const transactions = [];
+  let account = '';
+  let currency = '';
+  fields.forEach(({ tag, value }) => {
+    if (tag === '25') {
+      account = value.trim();
+    } else if (tag === '60F' || tag === '60M') {
+      currency = value.trim().slice(7, 10);
+    } else if (tag === '61') {
+      const line = value.split('\n')[0];
+      const match = /^(\d{2})(\d{2})(\d{2})(?:\d{4})?(R?[CD])[A-Z]?(\d+,\d*)[NSF][A-Z0-9]{3}([^/]*)(?:\/\/(.*))?$/.exec(line);
+      if (!match) {
+        throw new Error(`MT940: cannot read statement line ":61:${line}"`);
+      }
+      const amountText = match[5].replace(',', '.');
+      transactions.push({
+        bookingDate: `20${match[1]}-${match[2]}-${match[3]}`,
+        amount: Number(amountText.endsWith('.') ? amountText.slice(0, -1) : amountText),
+        direction: { D: 'debit', C: 'credit' }[match[4]] || 'reversal',
+        currency,
+        counterpartyName: '',
+        counterpartyIban: '',
+        remittance: '',
+        reference: (match[7] || match[6] || '').trim()
+      });
+    } else if (tag === '86' && transactions.length > 0) {
+      Object.assign(transactions[transactions.length - 1], parseMt940Details(value));
+    }
+  });
+
+  return transactions.map((transaction, index) => ({
+    ...transaction,
+    key: `${account}|${transaction.bookingDate}|${transaction.reference || index}|${transaction.amount}`
+  }));
+}
+
+/**
+ * Reads the :86: details of an MT940 line
+ * @private
+ * @returns {{counterpartyName: string, counterpartyIban: string, remittance: string}}
+ */
+function parseMt940Details(value) {
+  const text = value.replace(/\n/g, '');
+
+  if (/\?\d{2}/.test(text)) {
+    const subfields = {};
+    text.split('?').slice(1).forEach(part => {
+      const code = Number(part.slice(0, 2));
+      subfields[code] = (subfields[code] || '') + part.slice(2);
+    });
+    const join = codes => codes.map(code => subfields[code] || '').join('').trim();
+    return {
+      counterpartyName: join([32, 33]),
+      counterpartyIban: join([31]).replace(/\s+/g, ''),
+      remittance: join([20, 21, 22, 23, 24, 25, 26, 27, 28, 29])
+    };
+  }
+
+  if (/^\/[A-Z]{3,4}\//.test(text)) {
+    const codes = {};
+    text.split(/\/(?=[A-Z]{3,4}\/)/).filter(part => part).forEach(part => {
+      const [code, ...rest] = part.split('/');
+      codes[code] = rest.join('/').trim();
+    });
+    return {
+      counterpartyName: codes.NAME || codes.BENM || '',
+      counterpartyIban: (codes.IBAN || codes.ACCT || '').replace(/\s+/g, ''),
+      remittance: codes.REMI || codes.EREF || ''
+    };
+  }
+
+  const iban = ROMANIAN_IBAN_PATTERN.exec(text.replace(/\s+/g, ''));
+  return { counterpartyName: '', counterpartyIban: iban ? iban[0] : '', remittance: text.trim() };
+}
+
+/**
+ * Parses an ISO 20022 CAMT.053 statement (any camt.053.001.xx version).
+ * Entries with several transaction details yield one transaction per detail.
+ * @param {string} xmlText - XML content
+ * @returns {BankTransaction[]}
+ */
+function parseCamt053(xmlText) {
+  const root = XmlService.parse(xmlText).getRootElement();
+  const ns = root.getNamespace();
+  const statement = root.getChild('BkToCstmrStmt', ns);
+  if (!statement) {
+    throw new Error('Not a CAMT.053 document: Document/BkToCstmrStmt element missing');
+  }
+
+  // Follows a path of element names; null when an element is missing
+  const find = (element, path) => path.split('/').reduce((current, name) => current && current.getChild(name, ns), element);
+  const text = (element, path) => {
+    const found = find(element, path);
+    return found ? found.getText().trim() : '';
+  };
+
+  const transactions = [];
+  statement.getChildren('Stmt', ns).forEach(stmt => {
+    const account = text(stmt, 'Acct/Id/IBAN') || text(stmt, 'Acct/Id/Othr/Id');
+
+    stmt.getChildren('Ntry', ns).forEach((entry, entryIndex) => {
+      const direction = text(entry, 'RvslInd') === 'true' ? 'reversal'
+        : text(entry, 'CdtDbtInd') === 'DBIT' ? 'debit' : 'credit';
+      const bookingDate = (text(entry, 'BookgDt/Dt') || text(entry, 'BookgDt/DtTm')).slice(0, 10);
+      const entryReference = text(entry, 'AcctSvcrRef');
+      const details = [].concat(...entry.getChildren('NtryDtls', ns).map(group => group.getChildren('TxDtls', ns)));
+      const counterparty = direction === 'debit' ? 'Cdtr' : 'Dbtr';
+
+      (details.length > 0 ? details : [null]).forEach((detail, detailIndex) => {
+        const amountElement = (detail && find(detail, 'Amt')) || (detail && find(detail, 'AmtDtls/TxAmt/Amt')) ||
+          entry.getChild('Amt', ns);
+        const remittance = detail
+          ? detail.getChildren('RmtInf', ns).map(info =>
+            info.getChildren('Ustrd', ns).map(line => line.getText().trim())
+              .concat(info.getChildren('Strd', ns).map(strd => text(strd, 'CdtrRefInf/Ref')))
+              .join(' ')).join(' ').trim()
+          : text(entry, 'AddtlNtryInf');
+        const reference = (detail && (text(detail, 'Refs/EndToEndId') || text(detail, 'Refs/AcctSvcrRef'))) || entryReference;
+
+        transactions.push({
+          key: `${account}|${bookingDate}|${entryReference || entryIndex}|${detailIndex}`,
+          bookingDate,
+          amount: Number(amountElement.getText()),
+          direction,
+          currency: amountElement.getAttribute('Ccy').getValue().toUpperCase(),
+          counterpartyName: detail
+            ? text(detail, `RltdPties/${counterparty}/Nm`) || text(detail, `RltdPties/${counterparty}/Pty/Nm`)
+            : '',
+          counterpartyIban: detail ? text(detail, `RltdPties/${counterparty}Acct/Id/IBAN`) : '',
+          remittance: remittance === 'NOTPROVIDED' ? '' : remittance,
+          reference
+        });
+      });
+    });
+  });
+  return transactions;
+}
+
+/**
+ * Creates a bank statement service for an invoice sheet
+ * @param {Sheet} [sheet] - Invoice sheet whose "Suma ramasa" and "Status" are settled by imports;
+ *   not needed to apply assigned lines, which settle the sheet they were imported against
+ * @return {Object} Bank statement methods
+ */
+function createBankStatementService(sheet) {
+  const spreadsheet = SpreadsheetApp.getActiveSpreadsheet();
+  const settings = createSettingsService();
+  const paymentsSheetName = 'Bank_Payments';
+  const unmatchedSheetName = 'Unmatched_Bank_Lines';
+  const transactionHeaders = ['Booking Date', 'Amount', 'Currency', 'Counterparty', 'IBAN', 'Remittance', 'Bank Reference'];
+  const paymentsHeaders = ['Imported', 'Transaction Key'].concat(transactionHeaders, ['Sheet', 'Rows', 'Invoices', 'Applied', 'Method']);
+  const unmatchedHeaders = ['Imported', 'Transaction Key'].concat(transactionHeaders, ['Sheet', 'Reason', 'Suggested Row', 'Assign to Row']);
+
+  // Amounts within half a ban are equal
+  const tolerance = 0.005;
+
+  /**
+   * Gets a log sheet, creating it if needed
+   * @private
+   */
+  function getLogSheet(name, headers) {
+    let logSheet = spreadsheet.getSheetByName(name);
+    if (!logSheet) {
+      logSheet = spreadsheet.insertSheet(name);
+      logSheet.getRange(1, 1, 1, headers.length).setValues([headers]).setFontWeight('bold');
+      logSheet.setFrozenRows(1);
+    }
+    return logSheet;
+  }
+
+  /**
+   * Reads an invoice sheet with its mapped columns, adding the payment reference column when missing
+   * @private
+   * @returns {{sheet: Sheet, columns: Object<string, number>, invoices: Object[]}}
+   */
+  function readInvoices(sheet) {
+    const referenceHeader = settings.get('Source columns', 'paymentReference');
+    const headerRow = sheet.getRange(1, 1, 1, sheet.getLastColumn()).getValues()[0];
+    if (referenceHeader && !headerRow.some(header => header.toString().trim() === referenceHeader)) {
+      sheet.getRange(1, headerRow.length + 1).setValue(referenceHeader).setFontWeight('bold');
+    }
+
+    const data = sheet.getDataRange().getValues();
+    const columns = settings.getColumnMap('Source columns', data[0], sheet.getName(),
+      ['supplier', 'invoiceNumber', 'amount', 'remainingAmount', 'currency', 'issueDate', 'paymentStatus',
+        'paymentReference', 'supplierIban'],
+      ['supplierIban']);
+    const localeHint = getNumberLocale(sheet.getName());
+
+    const invoices = data.slice(1).map((row, index) => {
+      const remainingCell = row[columns.remainingAmount];
+      const remaining = remainingCell === '' ? parseAmount(row[columns.amount], localeHint).value
+        : parseAmount(remainingCell, localeHint).value;
+      return {
+        row: index + 2,
+        supplier: row[columns.supplier].toString(),
+        number: row[columns.invoiceNumber].toString().trim(),
+        issueDate: parseInvoiceDate(row[columns.issueDate]).value,
+        currency: normalizeCurrencyCode(row[columns.currency]).value,
+        iban: columns.supplierIban !== -1 ? row[columns.supplierIban].toString().replace(/\s+/g, '').toUpperCase() : '',
+        remaining,
+        reference: row[columns.paymentReference].toString()
+      };
+    });
+    return { sheet, columns, invoices };
+  }
+
+  /**
+   * Reference forms of an invoice number or a remittance token: upper case, letters and digits only,
+   * no leading zeros
+   * @private
+   */
+  function referenceKey(text) {
+    return text.toUpperCase().replace(/[^A-Z0-9]/g, '').replace(/^0+/, '');
+  }
+
+  /**
+   * Invoice numbers a remittance text may mention: every token, pairs of adjacent tokens
+   * ("ABC 0012") and the digits ending a token ("FACT0012" -> "12")
+   * @private
+   */
+  function remittanceKeys(remittance) {
+    const tokens = remittance.toUpperCase().split(/[^A-Z0-9]+/).filter(token => token);
+    const keys = new Set();
+    tokens.forEach((token, index) => {
+      keys.add(referenceKey(token));
+      if (index > 0) keys.add(referenceKey(tokens[index - 1] + token));
+      const digits = /\d+$/.exec(token);
+      if (digits) keys.add(referenceKey(digits[0]));
+    });
+    return keys;
+  }
+
+  /**
+   * Finds the open invoices an outgoing payment settles
+   * @private
+   * @returns {{invoices: Object[], method: string}|{reason: string, suggestedRow?: number}}
+   */
+  function matchPayment(transaction, openInvoices) {
+    const sameCurrency = openInvoices.filter(invoice => invoice.currency === transaction.currency);
+    if (sameCurrency.length === 0) {
+      return { reason: `no open invoice in ${transaction.currency}` };
+    }
+
+    // Supplier: IBAN when the sheet maps one, otherwise the counterparty name
+    const iban = transaction.counterpartyIban.toUpperCase();
+    let supplierInvoices = iban ? sameCurrency.filter(invoice => invoice.iban === iban) : [];
+    let supplierMethod = 'iban';
+    if (supplierInvoices.length === 0 && transaction.counterpartyName) {
+      const bySupplier = {};
+      sameCurrency.forEach(invoice => {
+        const name = normalizeCompanyName(invoice.supplier);
+        (bySupplier[name] = bySupplier[name] || []).push(invoice);
+      });
+      const hit = createCompanyNameMatcher(Object.keys(bySupplier).map(name => ({ name, reference: name })))
+        .match(transaction.counterpartyName);
+      supplierInvoices = hit.reference ? bySupplier[hit.reference] : [];
+      supplierMethod = 'name';
+    }
+
+    // Invoice numbers quoted in the remittance text
+    const keys = remittanceKeys(`${transaction.remittance} ${transaction.reference}`);
+    let quoted = sameCurrency.filter(invoice => {
+      const key = referenceKey(invoice.number);
+      return key.length >= 3 && keys.has(key);
+    });
+    if (quoted.length > 0 && supplierInvoices.length > 0) {
+      const ofSupplier = quoted.filter(invoice => supplierInvoices.includes(invoice));
+      if (ofSupplier.length > 0) quoted = ofSupplier;
+    }
+    const quotedSuppliers = new Set(quoted.map(invoice => normalizeCompanyName(invoice.supplier)));
+    if (quoted.length > 0 && quotedSuppliers.size === 1) {
+      return { invoices: quoted, method: 'invoice number' };
+    }
+    if (quoted.length > 0) {
+      return { reason: `invoice number quoted for several suppliers (rows ${quoted.map(invoice => invoice.row).join(', ')})` };
+    }
+
+    if (supplierInvoices.length > 0) {
+      // The invoice with exactly this remaining amount, otherwise the oldest ones first
+      const exact = supplierInvoices.filter(invoice => Math.abs(invoice.remaining - transaction.amount) < tolerance);
+      if (exact.length > 0) {
+        return { invoices: [exact[0]], method: `${supplierMethod} + amount` };
+      }
+      const oldestFirst = supplierInvoices.slice().sort((a, b) => (a.issueDate || 0) - (b.issueDate || 0) || a.row - b.row);
+      return { invoices: oldestFirst, method: `${supplierMethod}, oldest first` };
+    }
+
+    // The amount alone is only a hint for the manual assignment
+    const sameAmount = sameCurrency.filter(invoice => Math.abs(invoice.remaining - transaction.amount) < tolerance);
+    return {
+      reason: 'no invoice number, supplier name or IBAN recognised',
+      suggestedRow: sameAmount.length === 1 ? sameAmount[0].row : ''
+    };
+  }
+
+  /**
+   * Applies a payment to invoices in order, each up to its remaining amount
+   * @private
+   * @param {BankTransaction} transaction - Outgoing payment
+   * @param {Object[]} invoices - Invoices to settle, from readInvoices
+   * @param {{sheet: Sheet, columns: Object<string, number>}} ledger - Sheet the invoices are on
+   * @returns {{settled: Object[], applied: number, leftover: number}}
+   */
+  function allocate(transaction, invoices, ledger) {
+    const { sheet, columns } = ledger;
+    const paidStatus = settings.get('Bank payments', 'paidStatus');
+    const partialStatus = settings.get('Bank payments', 'partiallyPaidStatus');
+    const paymentNote = `${transaction.bookingDate} ${transaction.reference || transaction.key}`.trim();
+    let available = transaction.amount;
+    const settled = [];
+
+    invoices.forEach(invoice => {
+      if (available < tolerance) return;
+      const applied = Math.min(available, invoice.remaining);
+      available -= applied;
+      invoice.remaining = Math.round((invoice.remaining - applied) * 100) / 100;
+      invoice.reference = invoice.reference ? `${invoice.reference}; ${paymentNote}` : paymentNote;
+
+      sheet.getRange(invoice.row, columns.remainingAmount + 1).setValue(invoice.remaining);
+      sheet.getRange(invoice.row, columns.paymentStatus + 1).setValue(invoice.remaining < tolerance ? paidStatus : partialStatus);
+      sheet.getRange(invoice.row, columns.paymentReference + 1).setValue(invoice.reference);
+      settled.push(invoice);
+    });
+
+    const leftover = Math.round(available * 100) / 100;
+    return { settled, applied: Math.round((transaction.amount - leftover) * 100) / 100, leftover };
+  }
+
+  /**
+   * Transaction fields as written to the log sheets
+   * @private
+   */
+  function transactionValues(transaction) {
+    return [transaction.bookingDate, transaction.amount, transaction.currency, transaction.counterpartyName,
+      transaction.counterpartyIban, transaction.remittance, transaction.reference];
+  }
+
+  /**
+   * Settles the invoice sheet with the outgoing payments of a statement.
+   * Lines already imported (same transaction key) and incoming payments are skipped;
+   * payments that cannot be matched, and overpayment remainders, go to Unmatched_Bank_Lines.
+   * @param {BankTransaction[]} transactions - Parsed statement lines
+   * @returns {{settledCount: number, unmatchedCount: number, skippedCount: number}}
+   */
+  function applyTransactions(transactions) {
+    const paymentsSheet = getLogSheet(paymentsSheetName, paymentsHeaders);
+    const unmatchedSheet = getLogSheet(unmatchedSheetName, unmatchedHeaders);
+    const knownKeys = new Set();
+    [paymentsSheet, unmatchedSheet].forEach(logSheet => {
+      if (logSheet.getLastRow() > 1) {
+        logSheet.getRange(2, 2, logSheet.getLastRow() - 1, 1).getValues().forEach(([key]) => knownKeys.add(key));
+      }
+    });
+
+    const ledger = readInvoices(sheet);
+    const openInvoices = ledger.invoices.filter(invoice => invoice.remaining !== null && invoice.remaining >= tolerance);
+    const imported = new Date();
+    const payments = [];
+    const unmatched = [];
+    let skippedCount = 0;
+
+    transactions.forEach(transaction => {
+      if (transaction.direction !== 'debit' || knownKeys.has(transaction.key)) {
+        skippedCount++;
+        return;
+      }
+      knownKeys.add(transaction.key);
+
+      const match = matchPayment(transaction, openInvoices.filter(invoice => invoice.remaining >= tolerance));
+      if (!match.invoices) {
+        unmatched.push([imported, transaction.key].concat(transactionValues(transaction),
+          [sheet.getName(), match.reason, match.suggestedRow || '', '']));
+        return;
+      }
+
+      const result = allocate(transaction, match.invoices, ledger);
+      payments.push([imported, transaction.key].concat(transactionValues(transaction), [
+        sheet.getName(),
+        result.settled.map(invoice => invoice.row).join(', '),
+        result.settled.map(invoice => invoice.number).join(', '),
+        result.applied,
+        match.method
+      ]));
+      if (result.leftover >= tolerance) {
+        unmatched.push([imported, `${transaction.key}|remainder`].concat(transactionValues({ ...transaction, amount: result.leftover }),
+          [sheet.getName(), `remainder after settling rows ${result.settled.map(invoice => invoice.row).join(', ')}`, '', '']));
+      }
+    });
+
+    if (payments.length > 0) {
+      paymentsSheet.getRange(paymentsSheet.getLastRow() + 1, 1, payments.length, paymentsHeaders.length).setValues(payments);
+    }
+    if (unmatched.length > 0) {
+      unmatchedSheet.getRange(unmatchedSheet.getLastRow() + 1, 1, unmatched.length, unmatchedHeaders.length).setValues(unmatched);
+    }
+    return { settledCount: payments.length, unmatchedCount: unmatched.length, skippedCount };
+  }
+
+  /**
+   * Imports statement files, detecting CAMT.053 XML or MT940 text
+   * @param {Blob[]} blobs - Statement files
+   * @returns {{settledCount: number, unmatchedCount: number, skippedCount: number,
+   *   errors: Array<{file: string, message: string}>}}
+   */
+  function importFiles(blobs) {
+    const transactions = [];
+    const errors = [];
+    blobs.forEach(blob => {
+      try {
+        const content = blob.getDataAsString('UTF-8');
+        transactions.push(...(/^\s*(<\?xml|<Document)/.test(content) ? parseCamt053(content) : parseMt940(content)));
+      } catch (error) {
+        errors.push({ file: blob.getName(), message: error.message });
+      }
+    });
+    return { ...applyTransactions(transactions), errors };
+  }
+
+  /**
+   * Imports every statement file (.sta, .mt940, .txt, .xml) of a Drive folder
+   * @param {string} folderId - Drive folder id
+   * @returns {{settledCount: number, unmatchedCount: number, skippedCount: number,
+   *   errors: Array<{file: string, message: string}>}}
+   */
+  function importFolder(folderId) {
+    const files = DriveApp.getFolderById(folderId).getFiles();
+    const blobs = [];
+    while (files.hasNext()) {
+      const file = files.next();
+      if (/\.(sta|mt940|940|txt|xml)$/i.test(file.getName())) {
+        blobs.push(file.getBlob());
+      }
+    }
+    return importFiles(blobs);
+  }
+
+  /**
+   * Applies the unmatched lines that were given an invoice row in "Assign to Row" to the sheet
+   * recorded on the line, then removes them from Unmatched_Bank_Lines
+   * @returns {{settledCount: number, errors: string[]}}
+   */
+  function applyAssignedLines() {
+    const unmatchedSheet = getLogSheet(unmatchedSheetName, unmatchedHeaders);
+    const lastRow = unmatchedSheet.getLastRow();
+    if (lastRow < 2) return { settledCount: 0, errors: [] };
+
+    const lines = unmatchedSheet.getRange(2, 1, lastRow - 1, unmatchedHeaders.length).getValues();
+    const paymentsSheet = getLogSheet(paymentsSheetName, paymentsHeaders);
+    const ledgers = {};
+    const errors = [];
+    const appliedRows = [];
+
+    lines.forEach((line, index) => {
+      const [, key, bookingDate, amount, currency, counterpartyName, counterpartyIban, remittance, reference,
+        sheetName, , , assigned] = line;
+      if (assigned === '' || assigned === null) return;
+
+      const targetSheet = spreadsheet.getSheetByName(sheetName);
+      if (!targetSheet) {
+        errors.push(`Line ${index + 2}: sheet "${sheetName}" not found`);
+        return;
+      }
+      ledgers[sheetName] = ledgers[sheetName] || readInvoices(targetSheet);
+      const ledger = ledgers[sheetName];
+
+      const invoice = ledger.invoices.find(candidate => candidate.row === Number(assigned));
+      const transaction = {
+        key,
+        // Sheets turns the "yyyy-MM-dd" text into a date
+        bookingDate: bookingDate instanceof Date
+          ? Utilities.formatDate(bookingDate, spreadsheet.getSpreadsheetTimeZone(), 'yyyy-MM-dd')
+          : bookingDate,
+        amount: Number(amount),
+        currency,
+        counterpartyName,
+        counterpartyIban,
+        remittance,
+        reference
+      };
+      if (!invoice || invoice.remaining === null) {
+        errors.push(`Line ${index + 2}: row ${assigned} of "${sheetName}" is not an invoice with an amount`);
+        return;
+      }
+      if (invoice.currency !== transaction.currency) {
+        errors.push(`Line ${index + 2}: row ${assigned} is in ${invoice.currency}, the payment in ${transaction.currency}`);
+        return;
+      }
+
+      // A manual assignment may overpay: the invoice is closed and the applied amount logged
+      const settledAmount = Math.min(transaction.amount, invoice.remaining);
+      allocate({ ...transaction, amount: settledAmount }, [invoice], ledger);
+      paymentsSheet.appendRow([new Date(), transaction.key].concat(transactionValues(transaction),
+        [sheetName, invoice.row, invoice.number, settledAmount, 'manual']));
+      appliedRows.push(index + 2);
+    });
+
+    // Bottom-up so the row numbers stay valid
+    appliedRows.reverse().forEach(row => unmatchedSheet.deleteRow(row));
+    return { settledCount: appliedRows.length, errors };
+  }
+
+  return {
+    paymentsSheetName,
+    unmatchedSheetName,
+    applyTransactions,
+    importFiles,
+    importFolder,
+    applyAssignedLines
+  };
+}
@@ -0,0 +1,190 @@
+/**
+ * Deterministic company name matcher for Procesare_Facturi
+ * Normalizes Romanian and foreign company names and scores their similarity locally,
+ * so exact and near-exact matches need no LLM call
+ */
+
+/**
+ * Legal form tokens removed from the end of a name during normalization (after dots are dropped,
+ * e.g. "S.R.L." -> "srl"). Several are also ordinary words or initials ("AB", "Spa", "IF"), so they
+ * are never removed elsewhere in the name.
+ */
+const COMPANY_LEGAL_FORMS = [
+  // Romanian
+  'srl', 'srld', 'sa', 'pfa', 'ii', 'if', 'scs', 'snc', 'sca', 'ra', 'ong',
+  // Foreign
+  'llc', 'gmbh', 'ltd', 'limited', 'inc', 'plc', 'bv', 'nv', 'ag', 'sas', 'sarl', 'spa', 'sro', 'kft', 'oy', 'ab'
+];
+
+/**
+ * Normalizes a company name for comparison:
+ * - folds diacritics (ș/ş, ț/ţ, ă, â, î) and case
+ * - drops punctuation ("S.R.L." -> "srl")
+ * - removes legal forms at the end of the name and the leading "SC" prefix; the first word is always
+ *   kept, so "AB Consulting" and "AG Consulting SRL" stay different ("ab consulting" / "ag consulting")
+ * @param {string} name - Company name as written on the invoice or in the P&L
+ * @returns {string} Space separated normalized tokens ('' for empty names)
+ */
+function normalizeCompanyName(name) {
+  const tokens = (name || '').toString()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '') // Combining marks: ș ş ț ţ ă â î -> s t a a i
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/\./g, '')              // S.R.L. -> SRL, S.C. -> SC
+    .replace(/\bsrl\s*-\s*d\b/g, 'srld') // SRL-D is one legal form
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim()
+    .split(' ')
+    .filter(token => token !== '');
+
+  const start = tokens[0] === 'sc' && tokens.length > 1 ? 1 : 0;
+  let end = tokens.length;
+  // A name made only of a legal form (e.g. "SA") keeps it rather than becoming empty
+  while (end - start > 1 && COMPANY_LEGAL_FORMS.includes(tokens[end - 1])) {
+    end--;
+  }
+  return tokens.slice(start, end).join(' ');
+}
+
+/**
+ * Levenshtein edit distance between two strings
+ * @private
+ */
+function companyNameEditDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+/**
+ * Similarity of two single tokens (0.0-1.0); short tokens must be equal
+ * @private
+ */
+function companyTokenSimilarity(a, b) {
+  if (a === b) return 1;
+  if (a.length < 4 || b.length < 4) return 0;
+  return 1 - companyNameEditDistance(a, b) / Math.max(a.length, b.length);
+}
+
+/**
+ * Scores the similarity of two normalized company names (0.0-1.0).
+ * Tokens are paired greedily by best similarity, tolerating typos in longer tokens;
+ * the score is the Dice coefficient over the paired token similarities.
+ * Names that only differ by spacing ("euro gsm" / "eurogsm") score 1.
+ * @param {string} a - Normalized name (see normalizeCompanyName)
+ * @param {string} b - Normalized name (see normalizeCompanyName)
+ * @returns {number}
+ */
+function companyNameSimilarity(a, b) {
+  if (!a || !b) return 0;
+  if (a === b || a.replace(/ /g, '') === b.replace(/ /g, '')) return 1;
+
+  const tokensA = a.split(' ');
+  const tokensB = b.split(' ');
+  const used = new Array(tokensB.length).fill(false);
+  let total = 0;
+
+  tokensA.forEach(tokenA => {
+    let bestIndex = -1;
+    let bestScore = 0;
+    tokensB.forEach((tokenB, index) => {
+      if (used[index]) return;
+      const score = companyTokenSimilarity(tokenA, tokenB);
+      if (score > bestScore) {
+        bestScore = score;
+        bestIndex = index;
+      }
+    });
+    if (bestIndex !== -1 && bestScore >= 0.8) {
+      used[bestIndex] = true;
+      total += bestScore;
+    }
+  });
+
+  return (2 * total) / (tokensA.length + tokensB.length);
+}
+
+/**
+ * Creates a local matcher over a fixed list of P&L candidates
+ * @param {Array<{name: string, reference: string}>} candidates - P&L lines with cell references
+ * @param {{nearThreshold: number, minimumLead: number}} [options] - Score needed for a near-exact hit,
+ *   and how far it must lead the runner-up candidate
+ * @return {Object} Matcher methods
+ */
+function createCompanyNameMatcher(candidates, options = {}) {
+  const nearThreshold = options.nearThreshold || 0.9;
+  const minimumLead = options.minimumLead || 0.1;
+
+  const normalizedCandidates = candidates.map(candidate => ({
+    ...candidate,
+    normalized: normalizeCompanyName(candidate.name)
+  })).filter(candidate => candidate.normalized !== '');
+
+  /**
+   * Matches a supplier name against the candidates
+   * @param {string} supplier - Supplier name from the invoice
+   * @returns {{status: string, method?: string, reference?: string, confidence?: number, explanation?: string}}
+   *   status is 'exact' or 'near' for accepted hits, 'ambiguous' when several candidates compete,
+   *   'none' when nothing is close
+   */
+  function match(supplier) {
+    const normalized = normalizeCompanyName(supplier);
+    if (!normalized) return { status: 'none' };
+
+    const exact = normalizedCandidates.filter(candidate => candidate.normalized === normalized);
+    if (exact.length === 1) {
+      return {
+        status: 'exact',
+        method: 'exact-name',
+        reference: exact[0].reference,
+        confidence: 1,
+        explanation: `Normalized names are equal: "${normalized}"`
+      };
+    }
+    if (exact.length > 1) {
+      return {
+        status: 'ambiguous',
+        explanation: `"${normalized}" equals ${exact.map(c => c.reference).join(', ')}`
+      };
+    }
+
+    const scored = normalizedCandidates
+      .map(candidate => ({ candidate, score: companyNameSimilarity(normalized, candidate.normalized) }))
+      .sort((x, y) => y.score - x.score);
+    const best = scored[0];
+    const runnerUp = scored[1];
+
+    if (!best || best.score < nearThreshold) {
+      return { status: best && best.score > 0 ? 'ambiguous' : 'none' };
+    }
+    if (runnerUp && best.score - runnerUp.score < minimumLead) {
+      return {
+        status: 'ambiguous',
+        explanation: `${best.candidate.reference} and ${runnerUp.candidate.reference} score within ${minimumLead}`
+      };
+    }
+
+    return {
+      status: 'near',
+      method: 'fuzzy-name',
+      reference: best.candidate.reference,
+      confidence: Number(best.score.toFixed(2)),
+      explanation: `Normalized names "${normalized}" and "${best.candidate.normalized}" are near-identical`
+    };
+  }
+
+  return {
+    match
+  };
+}
@@ -0,0 +1,71 @@
+/**
+ * Conversion report for Procesare_Facturi
+ * Lists every cell a normalization pass changed or could not read safely, with its original value,
+ * so nothing is zeroed or altered invisibly
+ */
+
+/**
+ * Report line as written to the Conversion_Report sheet
+ * @typedef {Object} ConversionReportEntry
+ * @property {string} cell - A1 notation of the cell
+ * @property {string} column - Column header
+ * @property {*} original - Value before the pass
+ * @property {*} result - Value written by the pass ('' when the cell was left unchanged)
+ * @property {string} status - 'converted', 'ambiguous' or 'unparseable'
+ * @property {string} note - Reason or explanation
+ */
+
+/**
+ * Creates a conversion report service instance
+ * @return {Object} Conversion report methods
+ */
+function createConversionReportService() {
+  const spreadsheet = SpreadsheetApp.getActiveSpreadsheet();
+  const sheetName = 'Conversion_Report';
+  const headers = ['Timestamp', 'Sheet', 'Cell', 'Column', 'Original', 'Result', 'Status', 'Note'];
+
+  /**
+   * Gets the report sheet, creating it if needed
+   * @private
+   */
+  function getReportSheet() {
+    let sheet = spreadsheet.getSheetByName(sheetName);
+    if (!sheet) {
+      sheet = spreadsheet.insertSheet(sheetName);
+    }
+    return sheet;
+  }
+
+  /**
+   * Replaces the report with the entries of the latest pass
+   * @param {ConversionReportEntry[]} entries - Cells to report
+   * @param {string} sourceSheetName - Sheet the pass ran on
+   */
+  function write(entries, sourceSheetName) {
+    const sheet = getReportSheet();
+    sheet.clear();
+    sheet.getRange(1, 1, 1, headers.length).setValues([headers]).setFontWeight('bold');
+    sheet.setFrozenRows(1);
+    if (entries.length === 0) return;
+
+    const timestamp = new Date();
+    const rows = entries.map(entry => [
+      timestamp,
+      sourceSheetName,
+      entry.cell,
+      entry.column,
+      entry.original,
+      entry.result,
+      entry.status,
+      entry.note || ''
+    ]);
+    // Keep original and result exactly as written (e.g. "1,234" must not be re-parsed by Sheets)
+    sheet.getRange(2, 5, rows.length, 2).setNumberFormat('@');
+    sheet.getRange(2, 1, rows.length, headers.length).setValues(rows);
+  }
+
+  return {
+    sheetName,
+    write
+  };
+}
@@ -0,0 +1,332 @@
+/**
+ * Duplicate invoice detection for Procesare_Facturi
+ * Finds invoices that appear twice in the source sheet (re-uploads, a bon plus a factura for the
+ * same purchase) and holds the copies back from posting until someone confirms them
+ */
+
+/**
+ * Suspected duplicate
+ * @typedef {Object} DuplicateFinding
+ * @property {number} row - Row of the suspected copy (1-based)
+ * @property {number} duplicateOf - Earlier row it repeats
+ * @property {string} rule - 'exact', 'same number' or 'same amount and date'
+ * @property {string} fingerprint - Supplier, number, date and amount of the copy, and which occurrence of
+ *   those values it is ("#2" for the second identical row); identifies it in the review sheet
+ * @property {string} supplier - Furnizor of the copy
+ * @property {string} number - Numar of the copy
+ * @property {Date|null} issueDate - Data emitere of the copy
+ * @property {number} amount - Suma of the copy
+ */
+
+/**
+ * Match statuses of held-back copies: suspected, and confirmed by a person
+ */
+const DUPLICATE_STATUSES = { suspected: 'Duplicate?', confirmed: 'Duplicate' };
+
+/**
+ * Creates a duplicate detection service for an invoice sheet
+ * @param {Sheet} sheet - Invoice sheet to check
+ * @return {Object} Duplicate detection methods
+ */
+function createDuplicateInvoiceService(sheet) {
+  const spreadsheet = SpreadsheetApp.getActiveSpreadsheet();
+  const settings = createSettingsService();
+  const journal = createRunJournalService();
+  const reviewSheetName = 'Duplicate_Review';
+  const headers = [
+    'Detected', 'Sheet', 'Row', 'Duplicate Of Row', 'Rule', 'Supplier', 'Numar', 'Data emitere', 'Suma',
+    'Fingerprint', 'Decision', 'Status', 'Previous Status', 'Previous Background'
+  ];
+  const columns = { sheet: 2, row: 3, fingerprint: 10, decision: 11, status: 12, previousStatus: 13 };
+  const decisions = ['Not a duplicate', 'Duplicate'];
+
+  /**
+   * Gets the review sheet, creating it if needed
+   * @private
+   */
+  function getReviewSheet() {
+    let reviewSheet = spreadsheet.getSheetByName(reviewSheetName);
+    if (!reviewSheet) {
+      reviewSheet = spreadsheet.insertSheet(reviewSheetName);
+      reviewSheet.getRange(1, 1, 1, headers.length).setValues([headers]).setFontWeight('bold');
+      reviewSheet.setFrozenRows(1);
+    } else if (reviewSheet.getLastColumn() < headers.length) {
+      // Review sheet created before the previous status was kept
+      reviewSheet.getRange(1, 1, 1, headers.length).setValues([headers]).setFontWeight('bold');
+    }
+    return reviewSheet;
+  }
+
+  /**
+   * Writes a match status and its background, recording both in the run journal so undo restores them
+   * @private
+   * @param {Range} cell - Matched P&L cell
+   * @param {number} row - Source row of the cell
+   * @param {string} value - Status to write
+   * @param {string|null} background - Background to set
+   * @param {string} runId - Journal run id
+   * @returns {{status: *, background: string}} The cell before the write
+   */
+  function writeStatus(cell, row, value, background, runId) {
+    const previous = { status: cell.getValue(), background: cell.getBackground() };
+    cell.setValue(value);
+    cell.setBackground(background);
+
+    journal.record({
+      runId,
+      spreadsheetUrl: sheet.getParent().getUrl(),
+      sheetName: sheet.getName(),
+      cell: cell.getA1Notation(),
+      oldValue: previous.status,
+      newValue: value,
+      sourceRow: row,
+      change: 'match status',
+      oldBackground: previous.background
+    });
+    return previous;
+  }
+
+  /**
+   * Reads the invoice rows with the values the rules compare
+   * @private
+   */
+  function readRows() {
+    const data = sheet.getDataRange().getValues();
+    const sourceColumns = settings.getColumnMap('Source columns', data[0], sheet.getName(),
+      ['supplier', 'invoiceNumber', 'issueDate', 'amount', 'currency', 'matchStatus']);
+    const localeHint = getNumberLocale(sheet.getName());
+
+    const rows = data.slice(1).map((row, index) => {
+      const number = row[sourceColumns.invoiceNumber].toString().trim();
+      const issueDate = parseInvoiceDate(row[sourceColumns.issueDate]).value;
+      const amount = parseAmount(row[sourceColumns.amount], localeHint).value;
+      return {
+        row: index + 2,
+        supplier: row[sourceColumns.supplier].toString().trim(),
+        supplierKey: normalizeCompanyName(row[sourceColumns.supplier]),
+        number,
+        numberKey: invoiceNumberKey(number),
+        issueDate,
+        amount,
+        currency: normalizeCurrencyCode(row[sourceColumns.currency]).value || '',
+        matchStatus: row[sourceColumns.matchStatus].toString(),
+        fingerprint: [normalizeCompanyName(row[sourceColumns.supplier]), number.toUpperCase(),
+          issueDate ? issueDate.getTime() : '', amount].join('|')
+      };
+    });
+
+    // Identical rows share their values: number them in sheet order so each copy is decided on its own
+    const occurrences = {};
+    rows.forEach(row => {
+      const values = row.fingerprint;
+      occurrences[values] = (occurrences[values] || 0) + 1;
+      row.fingerprint = `${values}#${occurrences[values]}`;
+    });
+    return { rows, matchStatusColumn: sourceColumns.matchStatus + 1 };
+  }
+
+  /**
+   * Finds suspected copies. For each row, the first earlier row of the same supplier that it repeats:
+   * - exact: same number, date and amount
+   * - same number: same number, different date or amount (e.g. a corrected re-upload)
+   * - same amount and date: same amount and currency, dates at most "Duplicates / nearDuplicateDays"
+   *   apart, numbers different or missing (e.g. a bon and the factura of the same purchase)
+   * @param {Object[]} [rows] - Rows from readRows; read from the sheet when omitted
+   * @returns {DuplicateFinding[]}
+   */
+  function detect(rows = readRows().rows) {
+    const nearDays = settings.get('Duplicates', 'nearDuplicateDays');
+    const dayMs = 24 * 60 * 60 * 1000;
+    const bySupplier = {};
+    const findings = [];
+
+    rows.forEach(current => {
+      if (!current.supplierKey || current.amount === null) return;
+      const earlier = bySupplier[current.supplierKey] = bySupplier[current.supplierKey] || [];
+
+      for (const original of earlier) {
+        const sameNumber = current.numberKey !== '' && current.numberKey === original.numberKey;
+        const sameAmount = Math.abs(current.amount - original.amount) < 0.005 && current.currency === original.currency;
+        const sameDate = current.issueDate && original.issueDate && current.issueDate.getTime() === original.issueDate.getTime();
+        const closeDates = current.issueDate && original.issueDate &&
+          Math.abs(current.issueDate - original.issueDate) <= nearDays * dayMs;
+
+        let rule = null;
+        if (sameNumber) {
+          rule = sameAmount && sameDate ? 'exact' : 'same number';
+        } else if (sameAmount && closeDates) {
+          rule = 'same amount and date';
+        }
+        if (rule) {
+          findings.push({
+            row: current.row,
+            duplicateOf: original.row,
+            rule,
+            fingerprint: current.fingerprint,
+            supplier: current.supplier,
+            number: current.number,
+            issueDate: current.issueDate,
+            amount: current.amount
+          });
+          break;
+        }
+      }
+      earlier.push(current);
+    });
+    return findings;
+  }
+
+  /**
+   * Reads the review sheet entries of this sheet, keyed by fingerprint
+   * @private
+   */
+  function loadReviews() {
+    const reviewSheet = getReviewSheet();
+    const reviews = {};
+    if (reviewSheet.getLastRow() < 2) return reviews;
+
+    reviewSheet.getRange(2, 1, reviewSheet.getLastRow() - 1, headers.length).getValues().forEach((row, index) => {
+      if (row[columns.sheet - 1] !== sheet.getName()) return;
+      reviews[row[columns.fingerprint - 1]] = {
+        reviewRow: index + 2,
+        decision: row[columns.decision - 1],
+        status: row[columns.status - 1],
+        previousStatus: row[columns.previousStatus - 1]
+      };
+    });
+    return reviews;
+  }
+
+  /**
+   * Suspected copies not released by a "Not a duplicate" decision and not posted yet
+   * @private
+   */
+  function findUndecided(rows, reviews) {
+    return detect(rows).filter(finding => {
+      const review = reviews[finding.fingerprint];
+      const status = rows[finding.row - 2].matchStatus;
+      return !(review && review.decision === 'Not a duplicate') && !status.includes('!');
+    });
+  }
+
+  /**
+   * Rows that must not be posted: flagged or confirmed copies, and copies detected now.
+   * Writes nothing, for dry runs.
+   * @returns {Set<number>}
+   */
+  function getHeldRows() {
+    const { rows } = readRows();
+    const held = new Set(findUndecided(rows, loadReviews()).map(finding => finding.row));
+    rows.forEach(row => {
+      if (row.matchStatus === DUPLICATE_STATUSES.suspected || row.matchStatus === DUPLICATE_STATUSES.confirmed) {
+        held.add(row.row);
+      }
+    });
+    return held;
+  }
+
+  /**
+   * Flags suspected copies "Duplicate?" in the Matched P&L column and queues them in Duplicate_Review.
+   * Rows already posted, confirmed duplicates, and rows released as "Not a duplicate" are left alone.
+   * The status a row had before (e.g. "Needs review") is kept in the review sheet and in the run journal.
+   * @param {string} [runId] - Journal run id of the writes; a new one is generated if omitted
+   * @returns {{suspectedCount: number, newCount: number}} Copies currently held back for review,
+   *   and how many of them were queued now
+   */
+  function flagDuplicates(runId = journal.createRunId()) {
+    const { rows, matchStatusColumn } = readRows();
+    const reviews = loadReviews();
+    const flaggedRows = new Set(rows.filter(row => row.matchStatus === DUPLICATE_STATUSES.suspected).map(row => row.row));
+
+    const newFindings = [];
+    findUndecided(rows, reviews).forEach(finding => {
+      const status = rows[finding.row - 2].matchStatus;
+      if (status === DUPLICATE_STATUSES.confirmed) return;
+
+      const cell = sheet.getRange(finding.row, matchStatusColumn);
+      let previous = { status: '', background: '' };
+      if (status !== DUPLICATE_STATUSES.suspected) {
+        previous = writeStatus(cell, finding.row, DUPLICATE_STATUSES.suspected, '#c9daf8', runId); // Blue
+        const review = reviews[finding.fingerprint];
+        if (review) {
+          getReviewSheet().getRange(review.reviewRow, columns.previousStatus, 1, 2)
+            .setValues([[previous.status, previous.background]]);
+        }
+      }
+      cell.setNote(`Possible duplicate of row ${finding.duplicateOf} (${finding.rule}); decide in ${reviewSheetName}`);
+      flaggedRows.add(finding.row);
+      if (!reviews[finding.fingerprint]) newFindings.push({ ...finding, previous });
+    });
+
+    if (newFindings.length > 0) {
+      const reviewSheet = getReviewSheet();
+      const firstRow = reviewSheet.getLastRow() + 1;
+      reviewSheet.getRange(firstRow, 1, newFindings.length, headers.length).setValues(newFindings.map(finding => [
+        new Date(), sheet.getName(), finding.row, finding.duplicateOf, finding.rule, finding.supplier,
+        finding.number, finding.issueDate || '', finding.amount, finding.fingerprint, '', '',
+        finding.previous.status, finding.previous.background
+      ]));
+      reviewSheet.getRange(firstRow, columns.decision, newFindings.length, 1).setDataValidation(
+        SpreadsheetApp.newDataValidation().requireValueInList(decisions, true).setAllowInvalid(false).build());
+    }
+
+    return { suspectedCount: flaggedRows.size, newCount: newFindings.length };
+  }
+
+  /**
+   * Applies the decisions of Duplicate_Review: "Not a duplicate" releases the row for posting and gives
+   * it back the status it had before it was flagged, "Duplicate" marks it so it is never posted
+   * @param {string} [runId] - Journal run id of the writes; a new one is generated if omitted
+   * @returns {{releasedCount: number, confirmedCount: number, pendingCount: number}}
+   */
+  function processDecisions(runId = journal.createRunId()) {
+    const reviewSheet = getReviewSheet();
+    const result = { releasedCount: 0, confirmedCount: 0, pendingCount: 0 };
+    if (reviewSheet.getLastRow() < 2) return result;
+
+    const { rows, matchStatusColumn } = readRows();
+    const rowByFingerprint = {};
+    rows.forEach(row => { rowByFingerprint[row.fingerprint] = row; });
+
+    reviewSheet.getRange(2, 1, reviewSheet.getLastRow() - 1, headers.length).getValues().forEach((entry, index) => {
+      if (entry[columns.sheet - 1] !== sheet.getName() || entry[columns.status - 1] !== '') return;
+      const decision = entry[columns.decision - 1];
+      if (!decision) {
+        result.pendingCount++;
+        return;
+      }
+
+      const statusCell = reviewSheet.getRange(index + 2, columns.status);
+      // Rows may have moved since detection: find the copy by its values
+      const row = rowByFingerprint[entry[columns.fingerprint - 1]];
+      if (!row) {
+        statusCell.setValue('Row not found: changed or deleted since detection');
+        return;
+      }
+
+      const cell = sheet.getRange(row.row, matchStatusColumn);
+      if (decision === 'Duplicate') {
+        writeStatus(cell, row.row, DUPLICATE_STATUSES.confirmed, '#cccccc', runId); // Gray
+        cell.setNote(`Duplicate of row ${entry[3]}, confirmed ${new Date().toISOString()}`);
+        statusCell.setValue(`Confirmed, row ${row.row} will not be posted`);
+        result.confirmedCount++;
+      } else {
+        if (row.matchStatus === DUPLICATE_STATUSES.suspected) {
+          writeStatus(cell, row.row, entry[columns.previousStatus - 1], entry[columns.previousStatus] || null, runId);
+          cell.setNote('');
+        }
+        statusCell.setValue(`Released, row ${row.row} is posted by the next run`);
+        result.releasedCount++;
+      }
+    });
+    return result;
+  }
+
+  return {
+    reviewSheetName,
+    detect,
+    getHeldRows,
+    flagDuplicates,
+    processDecisions
+  };
+}
@@ -0,0 +1,276 @@
+/**
+ * ANAF e-Factura import for Procesare_Facturi
+ * Reads UBL 2.1 Invoice and CreditNote XML files (CIUS-RO profile), as downloaded from SPV,
+ * and appends them as rows of the invoice sheet instead of retyping them
+ */
+
+/**
+ * UBL 2.1 namespaces used by e-Factura documents
+ */
+const UBL_NAMESPACES = {
+  Invoice: 'urn:oasis:names:specification:ubl:schema:xsd:Invoice-2',
+  CreditNote: 'urn:oasis:names:specification:ubl:schema:xsd:CreditNote-2',
+  cac: 'urn:oasis:names:specification:ubl:schema:xsd:CommonAggregateComponents-2',
+  cbc: 'urn:oasis:names:specification:ubl:schema:xsd:CommonBasicComponents-2'
+};
+
+/**
+ * Invoice as read from an e-Factura document
+ * @typedef {Object} EFacturaInvoice
+ * @property {string} documentType - 'Invoice' or 'CreditNote'
+ * @property {string} number - Invoice number (cbc:ID)
+ * @property {string} supplierName - Supplier registration name
+ * @property {string} supplierCui - Supplier CUI digits, without the RO prefix
+ * @property {string} issueDate - "yyyy-MM-dd"
+ * @property {string} dueDate - "yyyy-MM-dd", '' when the document has none
+ * @property {string} currency - ISO 4217 document currency
+ * @property {number} vatAmount - VAT in the document currency (negative for credit notes)
+ * @property {number} totalAmount - Total including VAT (negative for credit notes)
+ */
+
+/**
+ * Parses an e-Factura UBL 2.1 Invoice or CreditNote document
+ * @param {string} xmlText - XML content
+ * @returns {EFacturaInvoice}
+ * @throws {Error} When the document is not a UBL Invoice/CreditNote or misses a required field
+ */
+function parseEFacturaXml(xmlText) {
+  const root = XmlService.parse(xmlText).getRootElement();
+  const documentType = root.getName();
+  if (UBL_NAMESPACES[documentType] !== root.getNamespace().getURI() ||
+      (documentType !== 'Invoice' && documentType !== 'CreditNote')) {
+    throw new Error(`Not a UBL Invoice or CreditNote document (root element ${documentType})`);
+  }
+
+  const cac = XmlService.getNamespace('cac', UBL_NAMESPACES.cac);
+  const cbc = XmlService.getNamespace('cbc', UBL_NAMESPACES.cbc);
+
+  // Follows a path of "cac:Name" / "cbc:Name" steps; null when an element is missing
+  const find = (element, path) => path.split('/').reduce((current, step) => {
+    if (!current) return null;
+    const [prefix, name] = step.split(':');
+    return current.getChild(name, prefix === 'cac' ? cac : cbc);
+  }, element);
+  const text = (element, path) => {
+    const found = find(element, path);
+    return found ? found.getText().trim() : '';
+  };
+
+  const number = text(root, 'cbc:ID');
+  const issueDate = text(root, 'cbc:IssueDate');
+  const currency = text(root, 'cbc:DocumentCurrencyCode').toUpperCase();
+  const party = find(root, 'cac:AccountingSupplierParty/cac:Party');
+  const supplierName = text(party, 'cac:PartyLegalEntity/cbc:RegistrationName') || text(party, 'cac:PartyName/cbc:Name');
+  const supplierCui = validateFiscalCode(
+    text(party, 'cac:PartyTaxScheme/cbc:CompanyID') || text(party, 'cac:PartyLegalEntity/cbc:CompanyID')).code;
+  const totalText = text(root, 'cac:LegalMonetaryTotal/cbc:TaxInclusiveAmount');
+
+  // CIUS-RO repeats TaxTotal in RON when the document currency differs: take the one in the document currency
+  const taxAmount = root.getChildren('TaxTotal', cac)
+    .map(element => element.getChild('TaxAmount', cbc))
+    .filter(amount => amount)
+    .find(amount => {
+      const currencyId = amount.getAttribute('currencyID');
+      return !currencyId || currencyId.getValue().toUpperCase() === currency;
+    });
+  const vat = taxAmount ? Number(taxAmount.getText()) : 0;
+
+  const missing = [];
+  if (!number) missing.push('cbc:ID');
+  if (!issueDate) missing.push('cbc:IssueDate');
+  if (!currency) missing.push('cbc:DocumentCurrencyCode');
+  if (!supplierName) missing.push('supplier name');
+  if (!totalText || !isFinite(Number(totalText))) missing.push('cbc:TaxInclusiveAmount');
+  if (missing.length > 0) {
+    throw new Error(`${documentType} ${number || '(no number)'} is missing ${missing.join(', ')}`);
+  }
+
+  // Credit notes carry positive amounts; they reduce the supplier's total
+  const sign = documentType === 'CreditNote' ? -1 : 1;
+  return {
+    documentType,
+    number,
+    supplierName,
+    supplierCui,
+    issueDate,
+    dueDate: text(root, 'cbc:DueDate') || text(root, 'cac:PaymentMeans/cbc:PaymentDueDate'),
+    currency,
+    vatAmount: sign * (isFinite(vat) ? vat : 0),
+    totalAmount: sign * Number(totalText)
+  };
+}
+
+/**
+ * Creates an e-Factura import service for an invoice sheet
+ * @param {Sheet} sheet - Invoice sheet the rows are appended to
+ * @return {Object} Import methods
+ */
+function createEFacturaImportService(sheet) {
+  const spreadsheet = SpreadsheetApp.getActiveSpreadsheet();
+  const logSheetName = 'EFactura_Imports';
+  const logHeaders = ['Imported', 'Supplier CUI', 'Invoice Number', 'Issue Date', 'Supplier', 'File', 'Sheet', 'Row'];
+
+  // Labels written to the "Factura / Bon" column
+  const documentTypeLabels = { Invoice: 'Factura', CreditNote: 'Nota de credit' };
+
+  /**
+   * Gets the import log sheet, creating it if needed
+   * @private
+   */
+  function getLogSheet() {
+    let logSheet = spreadsheet.getSheetByName(logSheetName);
+    if (!logSheet) {
+      logSheet = spreadsheet.insertSheet(logSheetName);
+      logSheet.getRange(1, 1, 1, logHeaders.length).setValues([logHeaders]).setFontWeight('bold');
+      logSheet.setFrozenRows(1);
+      // CUIs and invoice numbers stay text (leading zeros, "0001234")
+      logSheet.getRange('B:C').setNumberFormat('@');
+    }
+    return logSheet;
+  }
+
+  /**
+   * Duplicate key of an invoice: supplier CUI + invoice number
+   * @private
+   */
+  function importKey(cui, number) {
+    return `${validateFiscalCode(cui).code}|${(number || '').toString().trim().toUpperCase()}`;
+  }
+
+  /**
+   * Collects the keys of invoices already imported, or already typed in a sheet with a CUI column
+   * @private
+   */
+  function loadImportedKeys(data, columns, cuiIndex) {
+    const keys = new Set();
+    const logSheet = getLogSheet();
+    if (logSheet.getLastRow() > 1) {
+      logSheet.getRange(2, 2, logSheet.getLastRow() - 1, 2).getValues()
+        .forEach(([cui, number]) => keys.add(importKey(cui, number)));
+    }
+    if (cuiIndex !== -1) {
+      data.slice(1).forEach(row => {
+        if (row[cuiIndex] && row[columns.invoiceNumber]) {
+          keys.add(importKey(row[cuiIndex], row[columns.invoiceNumber]));
+        }
+      });
+    }
+    return keys;
+  }
+
+  /**
+   * Extracts the XML documents of a file; SPV downloads are ZIP archives holding the invoice
+   * and its signature
+   * @private
+   * @returns {Array<{name: string, xmlText: string}>}
+   */
+  function readDocuments(blob) {
+    const name = blob.getName() || '';
+    if (!/\.zip$/i.test(name) && blob.getContentType() !== 'application/zip') {
+      return [{ name, xmlText: blob.getDataAsString('UTF-8') }];
+    }
+
+    return Utilities.unzip(blob.setContentType('application/zip'))
+      .filter(entry => /\.xml$/i.test(entry.getName()) && !/^semnatura/i.test(entry.getName()))
+      .map(entry => ({ name: `${name}/${entry.getName()}`, xmlText: entry.getDataAsString('UTF-8') }));
+  }
+
+  /**
+   * Appends the invoices of the given files to the sheet, skipping those already imported
+   * (same supplier CUI + invoice number)
+   * @param {Blob[]} blobs - XML files, or ZIP archives of XML files
+   * @returns {{importedCount: number, skippedCount: number, errors: Array<{file: string, message: string}>}}
+   */
+  function importFiles(blobs) {
+    const data = sheet.getDataRange().getValues();
+    const columns = createSettingsService().getColumnMap('Source columns', data[0], sheet.getName(),
+      ['documentType', 'supplier', 'invoiceNumber', 'issueDate', 'vatAmount', 'amount', 'currency', 'dueDate']);
+    const cuiIndex = findFiscalCodeColumnIndex(data[0]);
+    const importedKeys = loadImportedKeys(data, columns, cuiIndex);
+    const width = data[0].length;
+    const firstRow = data.length + 1;
+
+    const rows = [];
+    const logEntries = [];
+    const errors = [];
+    let skippedCount = 0;
+
+    blobs.forEach(blob => {
+      let documents;
+      try {
+        documents = readDocuments(blob);
+      } catch (error) {
+        errors.push({ file: blob.getName(), message: error.message });
+        return;
+      }
+
+      documents.forEach(xmlDocument => {
+        let invoice;
+        try {
+          invoice = parseEFacturaXml(xmlDocument.xmlText);
+        } catch (error) {
+          errors.push({ file: xmlDocument.name, message: error.message });
+          return;
+        }
+
+        const key = importKey(invoice.supplierCui, invoice.number);
+        if (importedKeys.has(key)) {
+          skippedCount++;
+          return;
+        }
+        importedKeys.add(key);
+
+        const row = new Array(width).fill('');
+        row[columns.documentType] = documentTypeLabels[invoice.documentType];
+        row[columns.supplier] = cleanSupplierName(invoice.supplierName).value;
+        row[columns.invoiceNumber] = invoice.number;
+        row[columns.issueDate] = parseInvoiceDate(invoice.issueDate).value;
+        row[columns.vatAmount] = invoice.vatAmount;
+        row[columns.amount] = invoice.totalAmount;
+        row[columns.currency] = invoice.currency;
+        row[columns.dueDate] = invoice.dueDate ? parseInvoiceDate(invoice.dueDate).value : '';
+        if (cuiIndex !== -1) row[cuiIndex] = invoice.supplierCui;
+        rows.push(row);
+
+        logEntries.push([new Date(), invoice.supplierCui, invoice.number, invoice.issueDate, invoice.supplierName,
+          xmlDocument.name, sheet.getName(), firstRow + rows.length - 1]);
+      });
+    });
+
+    if (rows.length > 0) {
+      const textColumns = [columns.invoiceNumber].concat(cuiIndex !== -1 ? [cuiIndex] : []);
+      textColumns.forEach(index => sheet.getRange(firstRow, index + 1, rows.length, 1).setNumberFormat('@'));
+      [columns.issueDate, columns.dueDate].forEach(index =>
+        sheet.getRange(firstRow, index + 1, rows.length, 1).setNumberFormat('dd.mm.yyyy'));
+      sheet.getRange(firstRow, 1, rows.length, width).setValues(rows);
+
+      const logSheet = getLogSheet();
+      logSheet.getRange(logSheet.getLastRow() + 1, 1, logEntries.length, logHeaders.length).setValues(logEntries);
+    }
+
+    return { importedCount: rows.length, skippedCount, errors };
+  }
+
+  /**
+   * Imports every XML or ZIP file of a Drive folder
+   * @param {string} folderId - Drive folder id
+   * @returns {{importedCount: number, skippedCount: number, errors: Array<{file: string, message: string}>}}
+   */
+  function importFolder(folderId) {
+    const files = DriveApp.getFolderById(folderId).getFiles();
+    const blobs = [];
+    while (files.hasNext()) {
+      const file = files.next();
+      if (/\.(xml|zip)$/i.test(file.getName())) {
+        blobs.push(file.getBlob());
+      }
+    }
+    return importFiles(blobs);
+  }
+
+  return {
+    logSheetName,
+    importFiles,
+    importFolder
+  };
+}
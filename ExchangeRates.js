@@ -0,0 +1,283 @@
+/**
+ * BNR exchange rates for Procesare_Facturi
+ * Loads National Bank of Romania reference rates into the FX_Rates sheet
+ * and computes "Suma in EUR" and "EUR/RON" for invoice rows
+ */
+
+/**
+ * One BNR reference rate
+ * @typedef {Object} BnrRate
+ * @property {string} date - Rate date, "yyyy-MM-dd"
+ * @property {string} currency - ISO 4217 code (e.g. "USD")
+ * @property {number} rate - RON per one unit of the currency (multiplier already applied)
+ */
+
+/**
+ * Parses a BNR rates XML document: the daily nbrfxrates.xml, the 10-day file
+ * or a yearly nbrfxratesYYYY.xml all share the DataSet/Body/Cube/Rate layout.
+ * @param {string} xmlText - XML content
+ * @returns {BnrRate[]}
+ */
+function parseBnrRatesXml(xmlText) {
+  const root = XmlService.parse(xmlText).getRootElement();
+  const ns = root.getNamespace();
+  const body = root.getChild('Body', ns);
+  if (!body) {
+    throw new Error('Not a BNR rates document: DataSet/Body element missing');
+  }
+
+  const rates = [];
+  body.getChildren('Cube', ns).forEach(cube => {
+    const date = cube.getAttribute('date').getValue();
+    cube.getChildren('Rate', ns).forEach(rateElement => {
+      const multiplierAttribute = rateElement.getAttribute('multiplier');
+      const multiplier = multiplierAttribute ? Number(multiplierAttribute.getValue()) : 1;
+      const rate = Number(rateElement.getText());
+      if (!isFinite(rate) || rate <= 0) return;
+
+      rates.push({
+        date,
+        currency: rateElement.getAttribute('currency').getValue().toUpperCase(),
+        rate: rate / multiplier
+      });
+    });
+  });
+  return rates;
+}
+
+/**
+ * Creates an exchange rate service instance
+ * @return {Object} Exchange rate methods
+ */
+function createExchangeRateService() {
+  const spreadsheet = SpreadsheetApp.getActiveSpreadsheet();
+  const timeZone = spreadsheet.getSpreadsheetTimeZone();
+  const sheetName = 'FX_Rates';
+  const headers = ['Date', 'Currency', 'RON per unit'];
+
+  // Weekends and bank holidays have no fixing: look back this many days for the previous banking day
+  const maxLookbackDays = 10;
+
+  let rateCache = null;
+
+  /**
+   * Gets the rates sheet, creating it if needed
+   * @private
+   */
+  function getRatesSheet() {
+    let sheet = spreadsheet.getSheetByName(sheetName);
+    if (!sheet) {
+      sheet = spreadsheet.insertSheet(sheetName);
+      sheet.getRange(1, 1, 1, headers.length).setValues([headers]).setFontWeight('bold');
+      sheet.getRange('A:A').setNumberFormat('@'); // Keep dates as yyyy-MM-dd text
+      sheet.setFrozenRows(1);
+    }
+    return sheet;
+  }
+
+  /**
+   * Loads stored rates as currency -> date -> rate
+   * @private
+   * @returns {Object<string, Object<string, number>>}
+   */
+  function loadRates() {
+    if (rateCache) return rateCache;
+
+    const sheet = getRatesSheet();
+    const lastRow = sheet.getLastRow();
+    rateCache = {};
+    if (lastRow < 2) return rateCache;
+
+    sheet.getRange(2, 1, lastRow - 1, headers.length).getValues().forEach(([date, currency, rate]) => {
+      const dateKey = toDateKey(date);
+      if (!dateKey || !currency || !rate) return;
+      const code = currency.toString().toUpperCase();
+      rateCache[code] = rateCache[code] || {};
+      rateCache[code][dateKey] = Number(rate);
+    });
+    return rateCache;
+  }
+
+  /**
+   * Converts a cell date (Date or day-first text, see parseInvoiceDate) to "yyyy-MM-dd"
+   * @private
+   * @returns {string|null}
+   */
+  function toDateKey(value) {
+    const parsed = parseInvoiceDate(value);
+    if (!parsed.value) return null;
+    // Cell dates are in the spreadsheet time zone, parsed text dates in the script time zone
+    const zone = value instanceof Date ? timeZone : Session.getScriptTimeZone();
+    return Utilities.formatDate(parsed.value, zone, 'yyyy-MM-dd');
+  }
+
+  /**
+   * Stores rates, skipping date/currency pairs already in the sheet
+   * @param {BnrRate[]} rates - Parsed rates
+   * @returns {number} Number of rates added
+   */
+  function storeRates(rates) {
+    const stored = loadRates();
+    const newRows = rates
+      .filter(r => !(stored[r.currency] && stored[r.currency][r.date]))
+      .map(r => [r.date, r.currency, r.rate]);
+
+    if (newRows.length > 0) {
+      const sheet = getRatesSheet();
+      sheet.getRange(sheet.getLastRow() + 1, 1, newRows.length, headers.length).setValues(newRows);
+    }
+
+    rateCache = null;
+    return newRows.length;
+  }
+
+  /**
+   * Imports rates from BNR XML content
+   * @param {string} xmlText - nbrfxrates.xml or a yearly file
+   * @returns {number} Number of rates added
+   */
+  function importBnrXml(xmlText) {
+    return storeRates(parseBnrRatesXml(xmlText));
+  }
+
+  /**
+   * Downloads BNR rates: the latest daily file, or a whole year
+   * @param {number} [year] - Year to download; omit for the latest daily rates
+   * @returns {number} Number of rates added
+   */
+  function updateFromBnr(year) {
+    const url = year
+      ? `https://www.bnr.ro/files/xml/years/nbrfxrates${year}.xml`
+      : 'https://www.bnr.ro/nbrfxrates.xml';
+    const response = UrlFetchApp.fetch(url, { muteHttpExceptions: true });
+    if (response.getResponseCode() !== 200) {
+      throw new Error(`BNR rates download failed (${response.getResponseCode()}) for ${url}`);
+    }
+    return importBnrXml(response.getContentText());
+  }
+
+  /**
+   * Gets the rate of a currency on a date, falling back to the previous banking day
+   * @param {string} currency - ISO 4217 code; RON always has rate 1
+   * @param {Date|string} date - Rate date
+   * @returns {{rate: number, rateDate: string}|null} null when no rate is available within the lookback window
+   */
+  function getRate(currency, date) {
+    const code = normalizeCurrencyCode(currency).value;
+    const dateKey = toDateKey(date);
+    if (!code || !dateKey) return null;
+    if (code === 'RON') return { rate: 1, rateDate: dateKey };
+
+    const currencyRates = loadRates()[code];
+    if (!currencyRates) return null;
+
+    const day = new Date(`${dateKey}T12:00:00Z`);
+    for (let offset = 0; offset <= maxLookbackDays; offset++) {
+      const key = new Date(day.getTime() - offset * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+      if (currencyRates[key]) {
+        return { rate: currencyRates[key], rateDate: key };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Converts an amount to EUR through RON cross rates
+   * @param {number} amount - Amount in the invoice currency
+   * @param {string} currency - Invoice currency (ISO 4217)
+   * @param {Date|string} date - Invoice date
+   * @returns {{amountEur: number, eurRon: number, rateDate: string}|{error: string}} rateDate is the BNR
+   *   fixing actually used, earlier than the invoice date on weekends and holidays
+   */
+  function convertToEur(amount, currency, date) {
+    if (!toDateKey(date)) {
+      return { error: `invalid invoice date "${date}"` };
+    }
+
+    const eur = getRate('EUR', date);
+    const source = getRate(currency, date);
+    if (!eur || !source) {
+      return { error: `no BNR rate for ${!source ? currency || '(no currency)' : 'EUR'} on or before ${toDateKey(date)}` };
+    }
+
+    return {
+      amountEur: Math.round((amount * source.rate / eur.rate) * 100) / 100,
+      eurRon: eur.rate,
+      rateDate: eur.rateDate < source.rateDate ? eur.rateDate : source.rateDate
+    };
+  }
+
+  /**
+   * Fills "Suma in EUR" and "EUR/RON" of a sheet from "Suma", "Moneda" and "Data emitere"
+   * (header names as mapped in the Settings sheet, scope "Source columns").
+   * Rows already matched to the P&L (column "Matched P&L" holds a reference) are left untouched.
+   * Rows without an available rate or with an unreadable amount are highlighted red with the reason in a note
+   * and their EUR amount is cleared, so an amount computed earlier cannot be posted. The date of the rate used
+   * is written to the "rateDate" column when one is mapped.
+   * @param {Sheet} sheet - Invoice sheet
+   * @returns {{convertedCount: number, flaggedCount: number, earlierRateCount: number}} earlierRateCount:
+   *   rows converted with the rate of an earlier banking day than their invoice date
+   */
+  function fillEurAmounts(sheet) {
+    const data = sheet.getDataRange().getValues();
+    const columns = createSettingsService().getColumnMap('Source columns', data[0], sheet.getName(),
+      ['amount', 'currency', 'issueDate', 'amountEur', 'eurRon', 'matchStatus', 'rateDate'], ['rateDate']);
+
+    const amountIndex = columns.amount;
+    const currencyIndex = columns.currency;
+    const dateIndex = columns.issueDate;
+    const eurIndex = columns.amountEur;
+    const rateIndex = columns.eurRon;
+    const matchedIndex = columns.matchStatus;
+    const rateDateIndex = columns.rateDate;
+    const localeHint = getNumberLocale(sheet.getName());
+
+    let convertedCount = 0;
+    let flaggedCount = 0;
+    let earlierRateCount = 0;
+
+    for (let i = 1; i < data.length; i++) {
+      const row = data[i];
+      if (row[amountIndex] === '' || row[amountIndex] === null) continue;
+      if (row[matchedIndex].toString().includes('!')) continue;
+
+      const eurCell = sheet.getRange(i + 1, eurIndex + 1);
+      const parsed = parseAmount(row[amountIndex], localeHint);
+      const result = parsed.value === null
+        ? { error: `amount "${row[amountIndex]}" is ${parsed.status}${parsed.reason ? ` (${parsed.reason})` : ''}` }
+        : convertToEur(parsed.value, row[currencyIndex], row[dateIndex]);
+
+      if (result.error) {
+        eurCell.setValue('');
+        eurCell.setBackground('#f4c7c3'); // Red
+        eurCell.setNote(`Not converted: ${result.error}`);
+        sheet.getRange(i + 1, rateIndex + 1).setValue('');
+        if (rateDateIndex !== -1) sheet.getRange(i + 1, rateDateIndex + 1).setValue('');
+        flaggedCount++;
+        continue;
+      }
+
+      const invoiceDateKey = toDateKey(row[dateIndex]);
+      eurCell.setValue(result.amountEur);
+      eurCell.setBackground(null);
+      eurCell.setNote(result.rateDate === invoiceDateKey
+        ? `BNR rate of ${result.rateDate}`
+        : `BNR rate of ${result.rateDate}, the last banking day before the invoice date ${invoiceDateKey}`);
+      sheet.getRange(i + 1, rateIndex + 1).setValue(result.eurRon);
+      if (rateDateIndex !== -1) sheet.getRange(i + 1, rateDateIndex + 1).setValue(result.rateDate);
+      if (result.rateDate !== invoiceDateKey) earlierRateCount++;
+      convertedCount++;
+    }
+
+    return { convertedCount, flaggedCount, earlierRateCount };
+  }
+
+  return {
+    sheetName,
+    importBnrXml,
+    updateFromBnr,
+    getRate,
+    convertToEur,
+    fillEurAmounts
+  };
+}
@@ -0,0 +1,54 @@
+/**
+ * Romanian fiscal code (CUI/CIF) helpers for Procesare_Facturi
+ * Validates codes with the official control-digit algorithm so suppliers can be matched by CUI
+ */
+
+/**
+ * Header names recognised as a CUI/CIF column (compared case-insensitively)
+ */
+const FISCAL_CODE_HEADERS = ['cui', 'cif', 'cui/cif', 'cif/cui', 'cod fiscal', 'cod de identificare fiscala'];
+
+/**
+ * Validates a Romanian CUI/CIF.
+ * Accepts an optional "RO" prefix (VAT payers) and spaces. The control digit is the last digit:
+ * the other digits, right-aligned on the key 753217532, are multiplied and summed;
+ * (sum * 10) mod 11 must equal the control digit, with 10 counting as 0.
+ * @param {string|number} value - Code as written in the sheet (e.g. "RO 14399840")
+ * @returns {{valid: boolean, code: string, reason?: string}} code holds the digits without prefix ('' when empty)
+ */
+function validateFiscalCode(value) {
+  const text = (value === null || value === undefined ? '' : value).toString()
+    .toUpperCase()
+    .replace(/\s+/g, '');
+  if (!text) {
+    return { valid: false, code: '', reason: 'empty' };
+  }
+
+  const code = text.replace(/^RO/, '');
+  if (!/^\d{2,10}$/.test(code)) {
+    return { valid: false, code, reason: 'a CUI has 2 to 10 digits, optionally prefixed by RO' };
+  }
+
+  const key = '753217532';
+  const body = code.slice(0, -1).padStart(9, '0');
+  let sum = 0;
+  for (let i = 0; i < 9; i++) {
+    sum += Number(body[i]) * Number(key[i]);
+  }
+  const control = (sum * 10) % 11 % 10;
+
+  if (control !== Number(code.slice(-1))) {
+    return { valid: false, code, reason: `control digit should be ${control}` };
+  }
+  return { valid: true, code };
+}
+
+/**
+ * Finds the CUI/CIF column in a header row
+ * @param {Array<*>} headers - Header row values
+ * @returns {number} Zero-based column index, or -1 when the sheet has no CUI column
+ */
+function findFiscalCodeColumnIndex(headers) {
+  return headers.findIndex(header =>
+    FISCAL_CODE_HEADERS.includes(header.toString().trim().toLowerCase()));
+}
@@ -0,0 +1,123 @@
+/**
+ * Invoice row normalizers for Procesare_Facturi
+ * Parse text dates, currency spellings and supplier names of the invoice export into
+ * consistent values; every normalizer returns the same result shape as parseAmount
+ * (invoiceNumberKey only builds a comparison key)
+ */
+
+/**
+ * Month names and abbreviations, Romanian first, then English ones that differ
+ */
+const INVOICE_MONTH_NAMES = {
+  ian: 1, ianuarie: 1, feb: 2, februarie: 2, mar: 3, martie: 3, apr: 4, aprilie: 4,
+  mai: 5, iun: 6, iunie: 6, iul: 7, iulie: 7, aug: 8, august: 8, sep: 9, sept: 9, septembrie: 9,
+  oct: 10, octombrie: 10, noi: 11, nov: 11, noiembrie: 11, dec: 12, decembrie: 12,
+  jan: 1, january: 1, february: 2, march: 3, april: 4, may: 5, jun: 6, june: 6,
+  jul: 7, july: 7, september: 9, october: 10, november: 11, december: 12
+};
+
+/**
+ * Common non-ISO spellings found in the "Moneda" column
+ */
+const CURRENCY_ALIASES = {
+  LEI: 'RON', LEU: 'RON',
+  '€': 'EUR', EURO: 'EUR', EURI: 'EUR',
+  '$': 'USD', 'US$': 'USD', DOLARI: 'USD',
+  '£': 'GBP'
+};
+
+/**
+ * Parses an invoice date written day first: "05.01.2025", "5/1/25", "05-01-2025",
+ * "05-ian-2025", "5 ianuarie 2025", or ISO "2025-01-05". Two-digit years are 20yy.
+ * @param {*} value - Cell value
+ * @returns {{status: string, value: Date|null, reason?: string}} Status 'ok', 'unparseable' or 'empty';
+ *   the date is at midnight in the script time zone
+ */
+function parseInvoiceDate(value) {
+  if (value instanceof Date) {
+    return isNaN(value) ? { status: 'unparseable', value: null, reason: 'invalid date' } : { status: 'ok', value };
+  }
+
+  const text = (value === null || value === undefined ? '' : value).toString().trim().toLowerCase();
+  if (!text) return { status: 'empty', value: null };
+
+  let day;
+  let month;
+  let year;
+  let match = /^(\d{4})-(\d{1,2})-(\d{1,2})$/.exec(text);
+  if (match) {
+    [year, month, day] = [match[1], match[2], match[3]].map(Number);
+  } else if ((match = /^(\d{1,2})\s*[./-]\s*(\d{1,2})\s*[./-]\s*(\d{2}|\d{4})$/.exec(text))) {
+    [day, month, year] = [match[1], match[2], match[3]].map(Number);
+  } else if ((match = /^(\d{1,2})[\s./-]*([a-zăâî]+)\.?[\s./-]*(\d{2}|\d{4})$/.exec(text))) {
+    day = Number(match[1]);
+    month = INVOICE_MONTH_NAMES[match[2].normalize('NFD').replace(/[\u0300-\u036f]/g, '')];
+    year = Number(match[3]);
+    if (!month) {
+      return { status: 'unparseable', value: null, reason: `unknown month "${match[2]}"` };
+    }
+  } else {
+    return { status: 'unparseable', value: null, reason: 'not a day-first date' };
+  }
+
+  if (year < 100) year += 2000;
+  const date = new Date(year, month - 1, day);
+  if (month < 1 || month > 12 || date.getDate() !== day || date.getMonth() !== month - 1) {
+    return { status: 'unparseable', value: null, reason: `no such date (day ${day}, month ${month}, year ${year})` };
+  }
+  return { status: 'ok', value: date };
+}
+
+/**
+ * Maps a currency spelling ("lei", "RON", "€", "euro") to its ISO 4217 code
+ * @param {*} value - Cell value
+ * @returns {{status: string, value: string|null, reason?: string}} Status 'ok', 'unparseable' or 'empty'
+ */
+function normalizeCurrencyCode(value) {
+  const text = (value === null || value === undefined ? '' : value).toString().trim().toUpperCase().replace(/\.$/, '');
+  if (!text) return { status: 'empty', value: null };
+
+  const code = CURRENCY_ALIASES[text] || text;
+  if (!/^[A-Z]{3}$/.test(code)) {
+    return { status: 'unparseable', value: null, reason: `"${value}" is not a known currency` };
+  }
+  return { status: 'ok', value: code };
+}
+
+/**
+ * Cleans a supplier name: collapses whitespace, removes wrapping and doubled quotes and
+ * uses comma-below ș/ț instead of the cedilla forms. The case is left as entered
+ * (matching ignores case, see normalizeCompanyName).
+ * @param {*} value - Cell value
+ * @returns {{status: string, value: string|null}} Status 'ok' or 'empty'
+ */
+function cleanSupplierName(value) {
+  let name = (value === null || value === undefined ? '' : value).toString()
+    .normalize('NFC')
+    .replace(/[“”„«»]/g, '"')
+    .replace(/[‘’]/g, "'")
+    .replace(/\s+/g, ' ') // \s includes non-breaking spaces
+    .trim();
+
+  // Quotes around the whole name, possibly nested ('"ACME SRL"')
+  while (/^(["']).*\1$/.test(name) && name.length > 1) {
+    name = name.slice(1, -1).trim();
+  }
+  name = name.replace(/"{2,}/g, '"');
+  if (!name) return { status: 'empty', value: null };
+
+  name = name.replace(/ş/g, 'ș').replace(/Ş/g, 'Ș').replace(/ţ/g, 'ț').replace(/Ţ/g, 'Ț');
+  return { status: 'ok', value: name };
+}
+
+/**
+ * Comparison key of an invoice number: capitals and digits only, without the leading zeros
+ * after the series ("FV 0012" and "fv-12" give "FV12")
+ * @param {*} value - Numar cell value
+ * @returns {string} Key, '' for an empty number
+ */
+function invoiceNumberKey(value) {
+  return (value === null || value === undefined ? '' : value).toString().toUpperCase()
+    .replace(/[^A-Z0-9]/g, '')
+    .replace(/^([A-Z]*)0+(?=\d)/, '$1');
+}
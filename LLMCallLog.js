@@ -0,0 +1,234 @@
+/**
+ * LLM call log for Procesare_Facturi
+ * Records every provider call in the LLM_Logs sheet with token usage, latency and estimated cost,
+ * and stops a run once its token or cost budget is spent
+ */
+
+/**
+ * Log entry as stored in the LLM_Logs sheet
+ * @typedef {Object} LLMCallLogEntry
+ * @property {string} runId - Run that made the call
+ * @property {number[]} sourceRows - Invoice rows whose suppliers were in the request
+ * @property {string} provider - Provider name (e.g. 'anthropic')
+ * @property {string} model - Model name
+ * @property {string} promptHash - SHA-256 of system prompt and prompt (see hashPrompt)
+ * @property {string} prompt - Full prompt, only when Settings "LLM / logFullPrompts" is on
+ * @property {string} response - Reply content, or the error message of a failed call
+ * @property {number} latencyMs - Call duration
+ * @property {number} inputTokens - Input tokens reported by the API
+ * @property {number} outputTokens - Output tokens reported by the API
+ * @property {number} estimatedCost - Estimated cost in USD
+ * @property {string} status - 'ok' or 'error'
+ */
+
+/**
+ * Hashes a request so identical prompts share a key
+ * @param {string} system - System instructions
+ * @param {string} prompt - User message
+ * @returns {string} Hex SHA-256 digest
+ */
+function hashPrompt(system, prompt) {
+  const digest = Utilities.computeDigest(Utilities.DigestAlgorithm.SHA_256, `${system}\n\n${prompt}`,
+    Utilities.Charset.UTF_8);
+  return digest.map(byte => ((byte + 256) % 256).toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Creates an LLM call log service instance
+ * @return {Object} Call log methods
+ */
+function createLLMCallLogService() {
+  const spreadsheet = SpreadsheetApp.getActiveSpreadsheet();
+  const sheetName = 'LLM_Logs';
+  const headers = [
+    'Timestamp', 'Run ID', 'Source Rows', 'Provider', 'Model', 'Prompt Hash', 'Prompt', 'Response',
+    'Latency (ms)', 'Input Tokens', 'Output Tokens', 'Estimated Cost (USD)', 'Status'
+  ];
+
+  // Google Sheets refuses cells longer than 50000 characters
+  const maxCellLength = 50000;
+
+  /**
+   * Gets the log sheet, creating it if needed
+   * @private
+   */
+  function getLogSheet() {
+    let sheet = spreadsheet.getSheetByName(sheetName);
+    if (!sheet) {
+      sheet = spreadsheet.insertSheet(sheetName);
+      sheet.getRange(1, 1, 1, headers.length).setValues([headers]).setFontWeight('bold');
+      sheet.setFrozenRows(1);
+    }
+    return sheet;
+  }
+
+  /**
+   * Appends a call to the log
+   * @param {LLMCallLogEntry} entry - Call to record
+   */
+  function record(entry) {
+    const truncate = text => (text || '').toString().slice(0, maxCellLength);
+    getLogSheet().appendRow([
+      new Date(),
+      entry.runId || '',
+      (entry.sourceRows || []).join(', '),
+      entry.provider,
+      entry.model,
+      entry.promptHash,
+      truncate(entry.prompt),
+      truncate(entry.response),
+      entry.latencyMs,
+      entry.inputTokens,
+      entry.outputTokens,
+      entry.estimatedCost,
+      entry.status
+    ]);
+  }
+
+  /**
+   * Sums the calls of every run, most recent run first
+   * @param {number} [limit=10] - Maximum number of runs
+   * @returns {Array<{runId: string, lastCallAt: Date, callCount: number, errorCount: number,
+   *   inputTokens: number, outputTokens: number, estimatedCost: number, latencyMs: number}>}
+   */
+  function summarizeRuns(limit = 10) {
+    const sheet = getLogSheet();
+    const lastRow = sheet.getLastRow();
+    if (lastRow < 2) return [];
+
+    const runs = {};
+    sheet.getRange(2, 1, lastRow - 1, headers.length).getValues().forEach(row => {
+      const runId = row[1] || '(no run)';
+      if (!runs[runId]) {
+        runs[runId] = {
+          runId, lastCallAt: row[0], callCount: 0, errorCount: 0,
+          inputTokens: 0, outputTokens: 0, estimatedCost: 0, latencyMs: 0
+        };
+      }
+      const run = runs[runId];
+      run.lastCallAt = row[0];
+      run.callCount++;
+      if (row[12] === 'error') run.errorCount++;
+      run.latencyMs += Number(row[8]) || 0;
+      run.inputTokens += Number(row[9]) || 0;
+      run.outputTokens += Number(row[10]) || 0;
+      run.estimatedCost += Number(row[11]) || 0;
+    });
+
+    return Object.values(runs)
+      .sort((a, b) => new Date(b.lastCallAt) - new Date(a.lastCallAt))
+      .slice(0, limit);
+  }
+
+  /**
+   * Gets the usage already logged for a run, so a resumed run keeps counting against its budget
+   * @param {string} runId - Run id
+   * @returns {{inputTokens: number, outputTokens: number, estimatedCost: number}}
+   */
+  function getRunUsage(runId) {
+    const run = summarizeRuns(Infinity).find(summary => summary.runId === runId);
+    return run
+      ? { inputTokens: run.inputTokens, outputTokens: run.outputTokens, estimatedCost: run.estimatedCost }
+      : { inputTokens: 0, outputTokens: 0, estimatedCost: 0 };
+  }
+
+  return {
+    sheetName,
+    getLogSheet,
+    record,
+    summarizeRuns,
+    getRunUsage
+  };
+}
+
+/**
+ * Usage of each run as counted by this execution, shared by every logged provider: the run's earlier
+ * calls are read from LLM_Logs once per execution, not each time a provider is wrapped
+ * @private
+ */
+const llmRunUsage = {};
+
+/**
+ * Wraps a provider so every call is logged and counted against the run budget
+ * (Settings scope "LLM": token and cost budgets, prices per million tokens, logFullPrompts).
+ * When the budget is spent, further calls throw an error with `fatal` set so the run stops
+ * instead of marking rows.
+ * @param {Object} provider - Provider from createLLMProvider
+ * @param {{runId: string}} context - Run the calls belong to
+ * @returns {Object} Provider with the same interface
+ */
+function createLoggedLLMProvider(provider, context) {
+  const settings = createSettingsService();
+  const callLog = createLLMCallLogService();
+  const inputCostPerToken = settings.get('LLM', 'inputCostPerMillionTokens') / 1e6;
+  const outputCostPerToken = settings.get('LLM', 'outputCostPerMillionTokens') / 1e6;
+  const logFullPrompts = settings.get('LLM', 'logFullPrompts');
+  const tokenBudget = settings.get('LLM', 'runTokenBudget') === '' ? Infinity : Number(settings.get('LLM', 'runTokenBudget'));
+  const costBudget = settings.get('LLM', 'runCostBudget') === '' ? Infinity : Number(settings.get('LLM', 'runCostBudget'));
+  if (isNaN(tokenBudget) || isNaN(costBudget)) {
+    throw new Error('Settings LLM / runTokenBudget and LLM / runCostBudget must be numbers or empty');
+  }
+
+  if (!llmRunUsage[context.runId]) {
+    llmRunUsage[context.runId] = callLog.getRunUsage(context.runId);
+  }
+  const spent = llmRunUsage[context.runId];
+
+  /**
+   * Calls the provider, logs the call and adds its usage to the run total
+   * @private
+   */
+  function loggedCall(method, request) {
+    const usedTokens = spent.inputTokens + spent.outputTokens;
+    if (usedTokens >= tokenBudget || spent.estimatedCost >= costBudget) {
+      const error = new Error(`LLM budget of run ${context.runId} exhausted ` +
+        `(${usedTokens} tokens, $${spent.estimatedCost.toFixed(4)} spent)`);
+      error.fatal = true;
+      error.reason = 'budget';
+      throw error;
+    }
+
+    const entry = {
+      runId: context.runId,
+      sourceRows: request.sourceRows,
+      provider: provider.name,
+      model: provider.model,
+      promptHash: hashPrompt(request.system, request.prompt),
+      prompt: logFullPrompts ? request.prompt : '',
+      inputTokens: 0,
+      outputTokens: 0,
+      estimatedCost: 0
+    };
+    const startedAt = Date.now();
+
+    try {
+      const response = provider[method](request);
+      const estimatedCost = response.usage.inputTokens * inputCostPerToken +
+        response.usage.outputTokens * outputCostPerToken;
+      spent.inputTokens += response.usage.inputTokens;
+      spent.outputTokens += response.usage.outputTokens;
+      spent.estimatedCost += estimatedCost;
+
+      callLog.record({
+        ...entry,
+        response: typeof response.content === 'string' ? response.content : JSON.stringify(response.content),
+        latencyMs: Date.now() - startedAt,
+        inputTokens: response.usage.inputTokens,
+        outputTokens: response.usage.outputTokens,
+        estimatedCost: Math.round(estimatedCost * 1e6) / 1e6,
+        status: 'ok'
+      });
+      return response;
+    } catch (error) {
+      callLog.record({ ...entry, response: error.message, latencyMs: Date.now() - startedAt, status: 'error' });
+      throw error;
+    }
+  }
+
+  return {
+    name: provider.name,
+    model: provider.model,
+    complete: request => loggedCall('complete', request),
+    completeStructured: request => loggedCall('completeStructured', request)
+  };
+}
@@ -0,0 +1,453 @@
+/**
+ * LLM providers for Procesare_Facturi
+ * One completion interface with adapters for the Anthropic Messages API,
+ * OpenAI-compatible chat endpoints (e.g. a self-hosted model) and an offline stub
+ */
+
+/**
+ * Provider configuration, read from Script Properties
+ * @typedef {Object} LLMConfig
+ * @property {string} provider - 'anthropic', 'openai' or 'stub' (LLM_PROVIDER)
+ * @property {string} model - Model name (LLM_MODEL)
+ * @property {number} maxTokens - Maximum tokens of a reply (LLM_MAX_TOKENS)
+ * @property {string} endpoint - API endpoint URL (LLM_ENDPOINT)
+ * @property {string} apiKey - API key (LLM_API_KEY; ANTHROPIC_API_KEY is still read for 'anthropic')
+ * @property {number} requestsPerMinute - Client-side request limit (LLM_REQUESTS_PER_MINUTE, default 50)
+ */
+
+/**
+ * Completion request
+ * @typedef {Object} LLMRequest
+ * @property {string} system - System instructions
+ * @property {string} prompt - User message
+ * @property {Object} [task] - Structured description of the request, used by the stub provider
+ *   (e.g. {type: 'matchClients', invoiceClients: string[], plClients: Array<{name: string, reference: string}>})
+ * @property {{name: string, description: string, inputSchema: Object}} [tool] - Tool the model must call;
+ *   required by completeStructured
+ * @property {number[]} [sourceRows] - Invoice rows the request is about, for the call log
+ */
+
+/**
+ * Completion reply
+ * @typedef {Object} LLMResponse
+ * @property {string|Object} content - Reply text (complete) or input of the tool call (completeStructured)
+ * @property {{inputTokens: number, outputTokens: number}} usage - Token usage reported by the API
+ */
+
+/**
+ * Defaults applied when a Script Property is not set
+ */
+const LLM_PROVIDER_DEFAULTS = {
+  anthropic: {
+    model: 'claude-3-5-sonnet-latest',
+    maxTokens: 4000,
+    endpoint: 'https://api.anthropic.com/v1/messages'
+  },
+  openai: {
+    model: '',
+    maxTokens: 4000,
+    endpoint: ''
+  },
+  stub: {
+    model: 'stub',
+    maxTokens: 0,
+    endpoint: ''
+  }
+};
+
+/**
+ * Retry policy of provider requests.
+ * Retryable: rate limits, overload, server errors and network failures (no HTTP status).
+ * Client errors (4xx other than 408 and 429: bad request, unknown model, payload too large) are fatal
+ * for the whole run: every following request would fail the same way and still count against the budget.
+ */
+const LLM_RETRY_POLICY = {
+  maxAttempts: 5,
+  baseDelayMs: 1000,
+  maxDelayMs: 30000,
+  // A longer retry-after would not fit in the execution: give up instead of waiting
+  maxRetryAfterMs: 60000,
+  retryableStatusCodes: [408, 429, 500, 502, 503, 504, 529],
+  authStatusCodes: [401, 403]
+};
+
+/**
+ * Send times (ms) of recent provider requests, shared by every provider of the execution
+ * so the requests-per-minute limit holds across the whole run
+ * @private
+ */
+const llmRequestTimes = [];
+
+/**
+ * Reads the provider configuration from Script Properties
+ * @returns {LLMConfig}
+ */
+function getLLMConfig() {
+  const properties = PropertiesService.getScriptProperties();
+  const provider = (properties.getProperty('LLM_PROVIDER') || 'anthropic').trim().toLowerCase();
+  const defaults = LLM_PROVIDER_DEFAULTS[provider];
+  if (!defaults) {
+    throw new Error(`Unknown LLM_PROVIDER "${provider}". Use one of: ${Object.keys(LLM_PROVIDER_DEFAULTS).join(', ')}`);
+  }
+
+  const maxTokens = Number(properties.getProperty('LLM_MAX_TOKENS') || defaults.maxTokens);
+  if (!isFinite(maxTokens) || maxTokens < 0) {
+    throw new Error(`LLM_MAX_TOKENS must be a positive number, found "${properties.getProperty('LLM_MAX_TOKENS')}"`);
+  }
+
+  const requestsPerMinute = Number(properties.getProperty('LLM_REQUESTS_PER_MINUTE') || 50);
+  if (!isFinite(requestsPerMinute) || requestsPerMinute <= 0) {
+    throw new Error(`LLM_REQUESTS_PER_MINUTE must be a positive number, found "${properties.getProperty('LLM_REQUESTS_PER_MINUTE')}"`);
+  }
+
+  return {
+    provider,
+    model: properties.getProperty('LLM_MODEL') || defaults.model,
+    maxTokens,
+    endpoint: properties.getProperty('LLM_ENDPOINT') || defaults.endpoint,
+    apiKey: properties.getProperty('LLM_API_KEY') ||
+      (provider === 'anthropic' ? properties.getProperty('ANTHROPIC_API_KEY') : '') || '',
+    requestsPerMinute
+  };
+}
+
+/**
+ * Creates the configured LLM provider
+ * @param {LLMConfig} [config] - Configuration; read from Script Properties when omitted
+ * @returns {{name: string, model: string, complete: function(LLMRequest): LLMResponse, completeStructured: function(LLMRequest): LLMResponse}}
+ *   Provider whose complete() replies with text and completeStructured() with the input of the requested tool call
+ */
+function createLLMProvider(config) {
+  const settings = config || getLLMConfig();
+  switch (settings.provider) {
+    case 'anthropic':
+      return createAnthropicProvider(settings);
+    case 'openai':
+      return createOpenAICompatibleProvider(settings);
+    case 'stub':
+      return createStubLLMProvider(settings);
+    default:
+      throw new Error(`Unknown LLM provider "${settings.provider}"`);
+  }
+}
+
+/**
+ * Waits until another request fits in the requests-per-minute limit, then reserves it
+ * @private
+ * @param {number} requestsPerMinute - Limit
+ */
+function waitForLLMRequestSlot(requestsPerMinute) {
+  const windowMs = 60 * 1000;
+  while (llmRequestTimes.length > 0 && llmRequestTimes[0] <= Date.now() - windowMs) {
+    llmRequestTimes.shift();
+  }
+  if (llmRequestTimes.length >= requestsPerMinute) {
+    const waitMs = llmRequestTimes[llmRequestTimes.length - requestsPerMinute] + windowMs - Date.now();
+    if (waitMs > 0) {
+      Utilities.sleep(waitMs);
+    }
+  }
+  llmRequestTimes.push(Date.now());
+}
+
+/**
+ * Delay before the next attempt: the server's retry-after when given, otherwise
+ * exponential backoff with jitter (between half and all of the exponential delay)
+ * @private
+ * @param {number} attempt - Attempt that just failed (1-based)
+ * @param {Object<string, string>} [responseHeaders] - Headers of the failed response
+ * @returns {number} Delay in ms
+ */
+function getLLMRetryDelay(attempt, responseHeaders = {}) {
+  const retryAfterHeader = Object.keys(responseHeaders).find(name => name.toLowerCase() === 'retry-after');
+  if (retryAfterHeader) {
+    const value = responseHeaders[retryAfterHeader];
+    const seconds = Number(value);
+    const retryAfterMs = isFinite(seconds) ? seconds * 1000 : new Date(value).getTime() - Date.now();
+    if (isFinite(retryAfterMs)) {
+      return Math.max(0, retryAfterMs);
+    }
+  }
+
+  const exponential = Math.min(LLM_RETRY_POLICY.maxDelayMs, LLM_RETRY_POLICY.baseDelayMs * Math.pow(2, attempt - 1));
+  return exponential / 2 + Math.random() * exponential / 2;
+}
+
+/**
+ * Sends a JSON POST request and returns the parsed body, retrying retryable failures (see LLM_RETRY_POLICY).
+ * Thrown errors carry `details` ({statusCode, response, headers}) and `retryable`;
+ * authentication failures and other client errors also carry `fatal` so the run stops instead of marking every row.
+ * @private
+ * @param {string} providerName - Provider name, used in error messages
+ * @param {string} endpoint - URL
+ * @param {Object<string, string>} headers - Request headers
+ * @param {Object} payload - Request body
+ * @param {number} requestsPerMinute - Client-side request limit
+ * @returns {Object}
+ */
+function postLLMRequest(providerName, endpoint, headers, payload, requestsPerMinute) {
+  for (let attempt = 1; ; attempt++) {
+    waitForLLMRequestSlot(requestsPerMinute);
+
+    let response;
+    let error;
+    try {
+      response = UrlFetchApp.fetch(endpoint, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...headers },
+        muteHttpExceptions: true,
+        payload: JSON.stringify(payload)
+      });
+    } catch (fetchError) {
+      // Timeouts and network failures
+      error = new Error(`${providerName} API request failed: ${fetchError.message}`);
+      error.details = { statusCode: null, response: '', headers: {} };
+      error.retryable = true;
+    }
+
+    if (response) {
+      const responseCode = response.getResponseCode();
+      const responseBody = response.getContentText();
+      if (responseCode === 200) {
+        return JSON.parse(responseBody);
+      }
+
+      error = new Error(`${providerName} API request failed (${responseCode})`);
+      error.details = {
+        statusCode: responseCode,
+        response: responseBody,
+        headers: response.getHeaders()
+      };
+      error.retryable = LLM_RETRY_POLICY.retryableStatusCodes.includes(responseCode);
+
+      if (LLM_RETRY_POLICY.authStatusCodes.includes(responseCode)) {
+        error.message = `${providerName} API rejected the credentials (${responseCode}). ` +
+          'Check LLM_API_KEY (or ANTHROPIC_API_KEY) in Script Properties.';
+        error.fatal = true;
+        error.reason = 'auth';
+      } else if (responseCode >= 400 && responseCode < 500 && !error.retryable) {
+        error.message = `${providerName} API refused the request (${responseCode}): ${responseBody.slice(0, 200)}`;
+        error.fatal = true;
+        error.reason = 'request';
+      }
+    }
+
+    if (!error.retryable || attempt >= LLM_RETRY_POLICY.maxAttempts) {
+      throw error;
+    }
+
+    const delayMs = getLLMRetryDelay(attempt, error.details.headers);
+    if (delayMs > LLM_RETRY_POLICY.maxRetryAfterMs) {
+      error.message += ` (retry-after of ${Math.round(delayMs / 1000)}s is too long to wait)`;
+      throw error;
+    }
+    console.log(`${error.message}; attempt ${attempt} of ${LLM_RETRY_POLICY.maxAttempts}, retrying in ${Math.round(delayMs)} ms`);
+    Utilities.sleep(delayMs);
+  }
+}
+
+/**
+ * Parses a JSON object from a text reply, tolerating a ```json fence or prose around it
+ * @private
+ * @param {string} text - Reply text
+ * @returns {Object}
+ */
+function parseJsonReply(text) {
+  const fenced = /```(?:json)?\s*([\s\S]*?)```/.exec(text);
+  const body = fenced ? fenced[1] : text;
+  const start = body.indexOf('{');
+  const end = body.lastIndexOf('}');
+  if (start === -1 || end < start) {
+    throw new Error(`Reply contains no JSON object: ${text.slice(0, 200)}`);
+  }
+  return JSON.parse(body.slice(start, end + 1));
+}
+
+/**
+ * Adapter for the Anthropic Messages API
+ * @private
+ * @param {LLMConfig} config - Provider configuration
+ */
+function createAnthropicProvider(config) {
+  if (!config.apiKey) {
+    throw new Error('Anthropic API key not found in Script Properties (LLM_API_KEY or ANTHROPIC_API_KEY)');
+  }
+
+  /**
+   * Sends a chat request, with extra payload fields such as tools
+   * @private
+   */
+  function send(request, extra = {}) {
+    return postLLMRequest('Anthropic', config.endpoint, {
+      'x-api-key': config.apiKey,
+      'anthropic-version': '2023-06-01'
+    }, {
+      model: config.model,
+      max_tokens: config.maxTokens,
+      temperature: 0,
+      system: request.system,
+      messages: [{ role: 'user', content: request.prompt }],
+      ...extra
+    }, config.requestsPerMinute);
+  }
+
+  /**
+   * Reads the token usage of a Messages API reply
+   * @private
+   */
+  function readUsage(body) {
+    const usage = body.usage || {};
+    return { inputTokens: usage.input_tokens || 0, outputTokens: usage.output_tokens || 0 };
+  }
+
+  return {
+    name: 'anthropic',
+    model: config.model,
+
+    complete: function(request) {
+      const body = send(request);
+      const textBlock = (body.content || []).find(block => block.type === 'text');
+      if (!textBlock || !textBlock.text) {
+        throw new Error('Invalid response structure: no text content');
+      }
+      return { content: textBlock.text, usage: readUsage(body) };
+    },
+
+    completeStructured: function(request) {
+      const body = send(request, {
+        tools: [{
+          name: request.tool.name,
+          description: request.tool.description,
+          input_schema: request.tool.inputSchema
+        }],
+        tool_choice: { type: 'tool', name: request.tool.name }
+      });
+
+      const toolBlock = (body.content || []).find(block => block.type === 'tool_use' && block.name === request.tool.name);
+      if (!toolBlock || !toolBlock.input) {
+        throw new Error(`Reply did not call the ${request.tool.name} tool`);
+      }
+      return { content: toolBlock.input, usage: readUsage(body) };
+    }
+  };
+}
+
+/**
+ * Adapter for OpenAI-compatible chat completion endpoints (OpenAI, vLLM, Ollama, LM Studio, ...)
+ * @private
+ * @param {LLMConfig} config - Provider configuration
+ */
+function createOpenAICompatibleProvider(config) {
+  if (!config.endpoint) {
+    throw new Error('LLM_ENDPOINT must be set for the openai provider (e.g. https://host/v1/chat/completions)');
+  }
+  if (!config.model) {
+    throw new Error('LLM_MODEL must be set for the openai provider');
+  }
+
+  /**
+   * Sends a chat request, with extra payload fields such as tools
+   * @private
+   */
+  function send(request, extra = {}) {
+    // Self-hosted servers often run without authentication
+    const headers = config.apiKey ? { Authorization: `Bearer ${config.apiKey}` } : {};
+    const body = postLLMRequest('OpenAI-compatible', config.endpoint, headers, {
+      model: config.model,
+      max_tokens: config.maxTokens,
+      temperature: 0,
+      messages: [
+        { role: 'system', content: request.system },
+        { role: 'user', content: request.prompt }
+      ],
+      ...extra
+    }, config.requestsPerMinute);
+
+    const choice = (body.choices || [])[0];
+    if (!choice || !choice.message) {
+      throw new Error('Invalid response structure: no message');
+    }
+    const usage = body.usage || {};
+    return {
+      message: choice.message,
+      usage: { inputTokens: usage.prompt_tokens || 0, outputTokens: usage.completion_tokens || 0 }
+    };
+  }
+
+  return {
+    name: 'openai',
+    model: config.model,
+
+    complete: function(request) {
+      const { message, usage } = send(request);
+      if (!message.content) {
+        throw new Error('Invalid response structure: no message content');
+      }
+      return { content: message.content, usage };
+    },
+
+    completeStructured: function(request) {
+      const { message, usage } = send(request, {
+        tools: [{
+          type: 'function',
+          function: {
+            name: request.tool.name,
+            description: request.tool.description,
+            parameters: request.tool.inputSchema
+          }
+        }],
+        tool_choice: { type: 'function', function: { name: request.tool.name } }
+      });
+
+      const toolCall = (message.tool_calls || []).find(call => call.function && call.function.name === request.tool.name);
+      if (toolCall) {
+        return { content: JSON.parse(toolCall.function.arguments), usage };
+      }
+
+      // Some self-hosted servers ignore tools and answer in plain text
+      if (message.content) {
+        return { content: parseJsonReply(message.content), usage };
+      }
+      throw new Error(`Reply did not call the ${request.tool.name} tool`);
+    }
+  };
+}
+
+/**
+ * Deterministic offline provider: answers matching tasks with the local company name matcher,
+ * so a run can be exercised without network access or API costs
+ * @private
+ * @param {LLMConfig} config - Provider configuration
+ */
+function createStubLLMProvider(config) {
+  return {
+    name: 'stub',
+    model: config.model,
+
+    complete: function(request) {
+      const response = this.completeStructured(request);
+      return { content: JSON.stringify(response.content), usage: response.usage };
+    },
+
+    completeStructured: function(request) {
+      const task = request.task;
+      if (!task || task.type !== 'matchClients') {
+        throw new Error('The stub provider only answers matchClients tasks');
+      }
+
+      const matcher = createCompanyNameMatcher(task.plClients, { nearThreshold: 0.75 });
+      const results = task.invoiceClients.map((client, index) => {
+        const match = matcher.match(client);
+        const matched = match.status === 'exact' || match.status === 'near';
+        return {
+          id: `S${index + 1}`,
+          matched,
+          reference: matched ? match.reference : null,
+          confidence: matched ? match.confidence : 0,
+          explanation: `Stub provider: ${match.explanation || match.status}`
+        };
+      });
+      return { content: { results }, usage: { inputTokens: 0, outputTokens: 0 } };
+    }
+  };
+}
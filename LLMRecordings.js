@@ -0,0 +1,182 @@
+/**
+ * Record and replay of LLM calls for Procesare_Facturi
+ * Stores request/response pairs keyed by prompt hash in the LLM_Recordings sheet so a past
+ * reconciliation can be rerun deterministically and without network access
+ */
+
+/**
+ * Recording modes, set in the Script Property LLM_RECORDING_MODE
+ * - off: calls go to the provider (default)
+ * - record: calls go to the provider and every reply is stored
+ * - replay: replies come from the recordings only; an unrecorded prompt is an error
+ */
+const LLM_RECORDING_MODES = ['off', 'record', 'replay'];
+
+/**
+ * Creates a recording store instance
+ * @return {Object} Recording store methods
+ */
+function createLLMRecordingStore() {
+  const spreadsheet = SpreadsheetApp.getActiveSpreadsheet();
+  const sheetName = 'LLM_Recordings';
+  const headers = ['Prompt Hash', 'Method', 'Recorded', 'Provider', 'Model', 'Prompt', 'Response', 'Input Tokens', 'Output Tokens'];
+
+  // Google Sheets refuses cells longer than 50000 characters
+  const maxCellLength = 50000;
+
+  let recordingCache = null;
+
+  /**
+   * Gets the recordings sheet, creating it if needed
+   * @private
+   */
+  function getRecordingSheet() {
+    let sheet = spreadsheet.getSheetByName(sheetName);
+    if (!sheet) {
+      sheet = spreadsheet.insertSheet(sheetName);
+      sheet.getRange(1, 1, 1, headers.length).setValues([headers]).setFontWeight('bold');
+      sheet.setFrozenRows(1);
+    }
+    return sheet;
+  }
+
+  /**
+   * Loads recordings keyed by "method|hash"
+   * @private
+   */
+  function loadRecordings() {
+    if (recordingCache) return recordingCache;
+
+    const sheet = getRecordingSheet();
+    const lastRow = sheet.getLastRow();
+    recordingCache = {};
+    if (lastRow < 2) return recordingCache;
+
+    sheet.getRange(2, 1, lastRow - 1, headers.length).getValues().forEach((row, index) => {
+      recordingCache[`${row[1]}|${row[0]}`] = {
+        row: index + 2,
+        response: row[6],
+        usage: { inputTokens: Number(row[7]) || 0, outputTokens: Number(row[8]) || 0 }
+      };
+    });
+    return recordingCache;
+  }
+
+  /**
+   * Finds the recorded reply of a request
+   * @param {string} method - 'complete' or 'completeStructured'
+   * @param {string} promptHash - Hash from hashPrompt
+   * @returns {{content: string|Object, usage: {inputTokens: number, outputTokens: number}}|null}
+   */
+  function find(method, promptHash) {
+    const recording = loadRecordings()[`${method}|${promptHash}`];
+    if (!recording) return null;
+    return {
+      content: method === 'completeStructured' ? JSON.parse(recording.response) : recording.response,
+      usage: recording.usage
+    };
+  }
+
+  /**
+   * Stores a reply, replacing an earlier recording of the same request
+   * @param {{method: string, promptHash: string, provider: string, model: string, prompt: string,
+   *   content: string|Object, usage: {inputTokens: number, outputTokens: number}}} recording - Request and reply
+   */
+  function save(recording) {
+    const values = [
+      recording.promptHash,
+      recording.method,
+      new Date(),
+      recording.provider,
+      recording.model,
+      recording.prompt.slice(0, maxCellLength),
+      typeof recording.content === 'string' ? recording.content : JSON.stringify(recording.content),
+      recording.usage.inputTokens,
+      recording.usage.outputTokens
+    ];
+
+    if (values[6].length > maxCellLength) {
+      console.error(`Reply to prompt ${recording.promptHash} is too long to record`);
+      return;
+    }
+
+    const sheet = getRecordingSheet();
+    const key = `${recording.method}|${recording.promptHash}`;
+    const existing = loadRecordings()[key];
+    let row;
+    if (existing) {
+      row = existing.row;
+      sheet.getRange(row, 1, 1, headers.length).setValues([values]);
+    } else {
+      sheet.appendRow(values);
+      row = sheet.getLastRow();
+    }
+    loadRecordings()[key] = { row, response: values[6], usage: recording.usage };
+  }
+
+  return {
+    sheetName,
+    find,
+    save
+  };
+}
+
+/**
+ * Creates the configured provider, recording or replaying its calls according to LLM_RECORDING_MODE.
+ * In replay mode the live provider is never created, so no API key or network is needed;
+ * replayed calls report zero token usage because nothing is spent.
+ * @param {LLMConfig} [config] - Provider configuration; read from Script Properties when omitted
+ * @returns {Object} Provider with the createLLMProvider interface
+ */
+function createRecordingLLMProvider(config) {
+  const settings = config || getLLMConfig();
+  const mode = (PropertiesService.getScriptProperties().getProperty('LLM_RECORDING_MODE') || 'off').trim().toLowerCase();
+  if (!LLM_RECORDING_MODES.includes(mode)) {
+    throw new Error(`Unknown LLM_RECORDING_MODE "${mode}". Use one of: ${LLM_RECORDING_MODES.join(', ')}`);
+  }
+  if (mode === 'off') {
+    return createLLMProvider(settings);
+  }
+
+  const store = createLLMRecordingStore();
+
+  if (mode === 'replay') {
+    const replay = method => request => {
+      const promptHash = hashPrompt(request.system, request.prompt);
+      const recording = store.find(method, promptHash);
+      if (!recording) {
+        throw new Error(`Replay mode: no recording for prompt ${promptHash.slice(0, 12)}…`);
+      }
+      return { content: recording.content, usage: { inputTokens: 0, outputTokens: 0 } };
+    };
+
+    return {
+      name: `${settings.provider} (replay)`,
+      model: settings.model,
+      complete: replay('complete'),
+      completeStructured: replay('completeStructured')
+    };
+  }
+
+  const provider = createLLMProvider(settings);
+  const record = method => request => {
+    const response = provider[method](request);
+    store.save({
+      method,
+      promptHash: hashPrompt(request.system, request.prompt),
+      provider: provider.name,
+      model: provider.model,
+      prompt: request.prompt,
+      content: response.content,
+      usage: response.usage
+    });
+    return response;
+  };
+
+  return {
+    name: provider.name,
+    model: provider.model,
+    complete: record('complete'),
+    completeStructured: record('completeStructured')
+  };
+}
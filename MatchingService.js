@@ -0,0 +1,262 @@
+/**
+ * Supplier matching service for Procesare_Facturi
+ * Builds the matching prompts and validates the structured replies of the configured
+ * LLM provider (see LLMProviders.js)
+ */
+
+/**
+ * Tool the model must call to report its matches; the schema is enforced by the provider
+ * and checked again by validateMatchResult
+ */
+const MATCH_RESULTS_TOOL = {
+  name: 'report_matches',
+  description: 'Report, for every invoice client id, whether it matches one of the P&L client names.',
+  inputSchema: {
+    type: 'object',
+    properties: {
+      results: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            id: { type: 'string', description: 'Invoice client id, e.g. "S1"' },
+            matched: { type: 'boolean' },
+            reference: {
+              type: ['string', 'null'],
+              description: 'Exact cell reference provided for the matched P&L client, e.g. "Expenses!C128"; null when not matched'
+            },
+            confidence: { type: 'number', minimum: 0, maximum: 1 },
+            explanation: { type: 'string' }
+          },
+          required: ['id', 'matched', 'reference', 'confidence']
+        }
+      }
+    },
+    required: ['results']
+  }
+};
+
+/**
+ * Checks one reported match against the result schema
+ * @param {*} result - Result as reported by the model
+ * @returns {{matched: boolean, reference: string|null, confidence: number, explanation: string}}
+ * @throws {Error} When the result does not follow the schema
+ */
+function validateMatchResult(result) {
+  if (!result || typeof result !== 'object') {
+    throw new Error('Match result is not an object');
+  }
+  if (typeof result.matched !== 'boolean') {
+    throw new Error(`"matched" must be a boolean, got ${JSON.stringify(result.matched)}`);
+  }
+  if (typeof result.confidence !== 'number' || !(result.confidence >= 0 && result.confidence <= 1)) {
+    throw new Error(`"confidence" must be a number between 0 and 1, got ${JSON.stringify(result.confidence)}`);
+  }
+  if (result.matched && (typeof result.reference !== 'string' || !/^[^!]+![A-Z]+[1-9]\d*$/.test(result.reference))) {
+    throw new Error(`"reference" must be a Sheet!ColRow reference, got ${JSON.stringify(result.reference)}`);
+  }
+
+  return {
+    matched: result.matched,
+    reference: result.matched ? result.reference : null,
+    confidence: result.confidence,
+    explanation: typeof result.explanation === 'string' ? result.explanation : ''
+  };
+}
+
+/**
+ * Creates a matching service on top of an LLM provider
+ * @param {Object} [provider] - Provider from createLLMProvider; the configured one when omitted
+ * @return {Object} Matching service methods
+ */
+function createMatchingService(provider) {
+  const llm = provider || createLLMProvider();
+  const systemPrompt = 'You are a helpful assistant that matches company names. ' +
+    `Always answer by calling the ${MATCH_RESULTS_TOOL.name} tool. ` +
+    'When you find a match, return the exact cell reference that was provided in the input.';
+
+  return {
+    provider: llm.name,
+    model: llm.model,
+
+    /**
+     * Compare a client name from invoice with P&L client list
+     * @param {string} invoiceClient - Client name from invoice
+     * @param {Array<{name: string, reference: string}>} plClients - Array of P&L clients with cell references
+     * @param {number[]} [sourceRows] - Invoice rows of this client, for the call log
+     * @returns {{matched: boolean, reference: string|null, confidence: number, explanation: string, error?: string}}
+     *   Match result; `error` is set when no valid answer could be obtained
+     * @throws {Error} Errors with `fatal` set (e.g. spent budget), which must stop the run
+     */
+    matchClient: function(invoiceClient, plClients, sourceRows) {
+      // Validate the plClients array
+      if (!Array.isArray(plClients) || plClients.some(c => !c.name || !c.reference)) {
+        throw new Error('Invalid P&L clients data structure');
+      }
+
+      // HTTP failures are already retried by the provider; only an invalid reply is asked again once
+      let lastError;
+      for (let attempt = 1; attempt <= 2; attempt++) {
+        try {
+          return this.requestMatches([invoiceClient], plClients, [sourceRows || []])[0];
+        } catch (error) {
+          if (error.fatal) throw error;
+          lastError = error;
+          if (error.details) break;
+        }
+      }
+
+      console.error(`Matching "${invoiceClient}" failed:`, lastError);
+      return {
+        matched: false,
+        reference: null,
+        confidence: 0,
+        explanation: '',
+        error: lastError.message
+      };
+    },
+
+    /**
+     * Number of invoice clients resolved per batched request
+     */
+    batchSize: 20,
+
+    /**
+     * Compare many invoice client names with the P&L client list in batched requests
+     * @param {string[]} invoiceClients - Distinct client names from invoices
+     * @param {Array<{name: string, reference: string}>} plClients - Array of P&L clients with cell references
+     * @param {Array<number[]>} [sourceRows] - Invoice rows of each client, for the call log
+     * @returns {Object[]} One result per invoice client, in input order (see matchClient)
+     */
+    matchClients: function(invoiceClients, plClients, sourceRows = []) {
+      if (!Array.isArray(plClients) || plClients.some(c => !c.name || !c.reference)) {
+        throw new Error('Invalid P&L clients data structure');
+      }
+
+      const results = [];
+      for (let start = 0; start < invoiceClients.length; start += this.batchSize) {
+        const batch = invoiceClients.slice(start, start + this.batchSize);
+        const batchRows = batch.map((client, index) => sourceRows[start + index] || []);
+        results.push(...this.matchClientBatch(batch, plClients, batchRows));
+      }
+      return results;
+    },
+
+    /**
+     * Resolve one batch of invoice clients in a single request.
+     * Falls back to one request per client only when the reply has the wrong shape (no tool call, no results);
+     * a client missing from the reply or with an invalid result is retried on its own.
+     * A failed request (HTTP or network error, carrying `details`) fails the whole batch without further calls.
+     * @private
+     */
+    matchClientBatch: function(invoiceClients, plClients, sourceRows) {
+      let results;
+      try {
+        results = this.requestMatches(invoiceClients, plClients, sourceRows, { validate: false });
+      } catch (error) {
+        if (error.fatal) throw error;
+
+        // The request itself failed and the provider already retried what could be: asking again
+        // client by client would only repeat the failure and spend budget
+        if (error.details) {
+          console.error('Batched matching request failed:', error);
+          return invoiceClients.map(() => ({
+            matched: false,
+            reference: null,
+            confidence: 0,
+            explanation: '',
+            error: error.message
+          }));
+        }
+
+        console.error('Batched matching failed, matching clients one by one:', error);
+        return invoiceClients.map((client, index) => this.matchClient(client, plClients, sourceRows[index]));
+      }
+
+      return invoiceClients.map((client, index) => {
+        try {
+          if (!results[index]) {
+            throw new Error(`No result for S${index + 1}`);
+          }
+          return validateMatchResult(results[index]);
+        } catch (error) {
+          console.error(`Invalid batched result for "${client}", matching it alone:`, error);
+          return this.matchClient(client, plClients, sourceRows[index]);
+        }
+      });
+    },
+
+    /**
+     * Sends one matching request and returns the reported results aligned with invoiceClients
+     * @private
+     * @param {string[]} invoiceClients - Client names to resolve, reported as S1, S2, ...
+     * @param {Array<{name: string, reference: string}>} plClients - P&L clients with cell references
+     * @param {Array<number[]>} sourceRows - Invoice rows of each client, for the call log
+     * @param {{validate: boolean}} [options] - When validate is false, results are returned unchecked
+     *   (undefined for clients the reply leaves out)
+     * @returns {Object[]}
+     * @throws {Error} On API errors, a reply without the tool call, or (when validating) an invalid result
+     */
+    requestMatches: function(invoiceClients, plClients, sourceRows, options = { validate: true }) {
+      const prompt = `
+Compare each of these invoice client names:
+${invoiceClients.map((client, index) => `S${index + 1}: "${client}"`).join('\n')}
+
+with these P&L client names:
+${plClients.map(c => `${c.reference}: ${c.name}`).join('\n')}
+
+Rules:
+1. Ignore case, spaces, and special characters
+2. Consider company type variations (SRL, S.R.L., LLC, etc.)
+3. Look for the closest match for each invoice client independently
+
+Report one result per invoice client id with the ${MATCH_RESULTS_TOOL.name} tool.`;
+
+      const rows = [].concat(...sourceRows).sort((a, b) => a - b);
+      const response = this.callLLM(prompt, { type: 'matchClients', invoiceClients, plClients }, rows);
+      if (!response || !Array.isArray(response.results)) {
+        throw new Error('Reply has no results array');
+      }
+
+      const resultsById = {};
+      response.results.forEach(result => {
+        if (result && typeof result.id === 'string') {
+          resultsById[result.id.trim()] = result;
+        }
+      });
+
+      return invoiceClients.map((client, index) => {
+        const result = resultsById[`S${index + 1}`];
+        if (options.validate === false) return result;
+        if (!result) {
+          throw new Error(`No result for S${index + 1}`);
+        }
+        return validateMatchResult(result);
+      });
+    },
+
+    /**
+     * Sends a prompt to the LLM provider and returns the tool input it reported
+     * @private
+     * @param {string} prompt - User message
+     * @param {Object} task - Structured form of the request (see LLMRequest)
+     * @param {number[]} sourceRows - Invoice rows the request is about
+     * @returns {Object}
+     */
+    callLLM: function(prompt, task, sourceRows) {
+      const response = llm.completeStructured({ system: systemPrompt, prompt, task, tool: MATCH_RESULTS_TOOL, sourceRows });
+      return response.content;
+    }
+  };
+}
+
+/**
+ * Get instance of the matching service with the configured provider, recorded or replayed
+ * according to LLM_RECORDING_MODE (see LLMRecordings.js).
+ * With a run context, every call is logged to LLM_Logs and counted against the run budget.
+ * @param {{runId: string}} [context] - Run the calls belong to
+ */
+function getMatchingService(context) {
+  const provider = createRecordingLLMProvider();
+  return createMatchingService(context ? createLoggedLLMProvider(provider, context) : provider);
+}
@@ -4,8 +4,27 @@
 function onOpen() {
   const ui = SpreadsheetApp.getUi();
   ui.createMenu('Invoice Processing')
-    .addItem('Convert Numeric Columns', 'processInvoiceData')
+    .addItem('Normalize Invoice Data', 'processInvoiceData')
+    .addItem('Compute EUR amounts', 'computeEurAmounts')
+    .addItem('Import e-Factura XML…', 'showEFacturaImportDialog')
+    .addItem('Import bank statement…', 'showBankStatementImportDialog')
+    .addItem('Apply assigned bank lines', 'applyAssignedBankLines')
+    .addItem('Check duplicates', 'checkDuplicateInvoices')
+    .addItem('Apply duplicate decisions', 'applyDuplicateDecisions')
+    .addItem('Update BNR rates…', 'showUpdateBnrRatesPrompt')
     .addItem('P&L Reconciliation', 'showPLReconciliationDialog')
+    .addItem('Apply approved rows', 'applyApprovedPreviewRows')
+    .addItem('Reconciliation status', 'showReconciliationStatus')
+    .addItem('Reconciliation report', 'showReconciliationReport')
+    .addItem('Post reviewed matches', 'postReviewedMatches')
+    .addSeparator()
+    .addItem('Undo last run', 'undoLastReconciliationRun')
+    .addItem('Undo run…', 'showUndoRunPrompt')
+    .addSeparator()
+    .addItem('Supplier aliases', 'showSupplierAliases')
+    .addItem('Spreading rules', 'showSpreadingRules')
+    .addItem('LLM spend per run', 'showLLMSpendSummary')
+    .addItem('Settings', 'showSettings')
     .addToUi();
 }
 
@@ -53,7 +72,7 @@ function showPLReconciliationDialog() {
             font-size: 14px;
           }
           
-          input {
+          input, select {
             width: 100%;
             padding: 8px 12px;
             border: 1px solid #dadce0;
@@ -63,7 +82,7 @@ function showPLReconciliationDialog() {
             transition: border-color 0.2s;
           }
           
-          input:focus {
+          input:focus, select:focus {
             outline: none;
             border-color: #1a73e8;
           }
@@ -127,6 +146,50 @@ function showPLReconciliationDialog() {
             font-size: 12px;
             margin-top: 4px;
           }
+          
+          .checkbox-label {
+            display: flex;
+            align-items: center;
+            font-weight: normal;
+            cursor: pointer;
+          }
+          
+          .checkbox-label input {
+            width: auto;
+            margin: 0 8px 0 0;
+          }
+          
+          #results {
+            display: none;
+          }
+          
+          #results table {
+            width: 100%;
+            border-collapse: collapse;
+            margin-bottom: 20px;
+            font-size: 14px;
+          }
+          
+          #results td {
+            padding: 6px 0;
+            border-bottom: 1px solid #dadce0;
+          }
+          
+          #results td:last-child {
+            text-align: right;
+            font-weight: 500;
+          }
+          
+          .secondary {
+            background-color: white;
+            color: #1a73e8;
+            border: 1px solid #dadce0;
+            margin-top: 8px;
+          }
+          
+          .secondary:hover {
+            background-color: #f1f3f4;
+          }
         </style>
       </head>
       <body>
@@ -134,11 +197,22 @@ function showPLReconciliationDialog() {
           <div class="title">P&L Reconciliation</div>
           
           <div class="form-group">
+            <label for="monthSource">Post Invoices To</label>
+            <select id="monthSource" name="monthSource" onchange="updateMonthField()">
+              <option value="fixed" selected>The month below</option>
+              <option value="issueDate">The month of each invoice's issue date</option>
+              <option value="servicePeriodStart">The month its service period starts</option>
+              <option value="uploadDate">The month of each invoice's upload date</option>
+            </select>
+            <div class="info-text">Per-invoice months process a multi-month export in one run</div>
+          </div>
+          
+          <div class="form-group" id="monthGroup">
             <label for="month">Reference Month</label>
             <input type="text" id="month" name="month" required 
                    placeholder="e.g., January" autocomplete="off">
             <div id="monthError" class="error">Please enter a valid month</div>
-            <div class="info-text">Enter the full month name (e.g., January, February)</div>
+            <div class="info-text">Enter the month name in English or Romanian (e.g., January, Ianuarie)</div>
           </div>
           
           <div class="form-group">
@@ -149,6 +223,14 @@ function showPLReconciliationDialog() {
             <div class="info-text">Paste the full URL of your P&L Google Sheet</div>
           </div>
           
+          <div class="form-group">
+            <label class="checkbox-label" for="preview">
+              <input type="checkbox" id="preview" name="preview" checked>
+              Preview only (no changes to the P&L)
+            </label>
+            <div class="info-text">Proposed postings are listed in the Reconciliation_Preview sheet. Tick the rows to post, then use "Apply approved rows".</div>
+          </div>
+          
           <button onclick="submitForm()" id="submitBtn">Start Reconciliation</button>
           
           <div id="loading" class="loading">
@@ -157,31 +239,73 @@ function showPLReconciliationDialog() {
           </div>
         </div>
         
+        <div class="container" id="results">
+          <div class="title" id="resultsTitle">Reconciliation Results</div>
+          <table id="resultsTable"></table>
+          <button onclick="openReport()">Open Report</button>
+          <button class="secondary" onclick="google.script.host.close()">Close</button>
+        </div>
+        
         <script>
           function submitForm() {
-            const month = document.getElementById('month').value;
+            const monthSource = document.getElementById('monthSource').value;
+            const month = monthSource === 'fixed' ? document.getElementById('month').value : '';
             const plUrl = document.getElementById('plUrl').value;
+            const preview = document.getElementById('preview').checked;
             const submitBtn = document.getElementById('submitBtn');
             const loading = document.getElementById('loading');
             
-            if (validateMonth(month) && validateUrl(plUrl)) {
+            if ((monthSource !== 'fixed' || validateMonth(month)) && validateUrl(plUrl)) {
               // Show loading state
               submitBtn.disabled = true;
               loading.style.display = 'block';
               
               // Add logging to check if this is being called
-              console.log('Starting reconciliation with:', {month, plUrl});
+              console.log('Starting reconciliation with:', {month, monthSource, plUrl, preview});
               
               google.script.run
                 .withSuccessHandler(onSuccess)
                 .withFailureHandler(onFailure)
-                .startPLReconciliation(month.trim(), plUrl.trim());
+                .startPLReconciliation(month.trim(), plUrl.trim(), { preview: preview, monthSource: monthSource });
             }
           }
           
+          // Whether the results shown are a preview, whose rows are in their own report sheet
+          let resultIsPreview = false;
+
           function onSuccess(result) {
             console.log('Reconciliation completed:', result);
-            google.script.host.close();
+            resultIsPreview = Boolean(result.dryRun);
+            const lines = [
+              ['Status', result.dryRun ? 'preview' : (result.status || (result.completed ? 'completed' : 'stopped'))],
+              ['Processed', result.processedCount],
+              ['Matched', result.matchedCount],
+              ['Sent to review', result.reviewCount || 0],
+              ['Errors', result.errorCount || 0],
+              ['Writes rejected', result.rejectedWriteCount || 0],
+              ['Not posted, another year (EUR)', result.unpostedAmount || 0],
+              ['Success rate', result.successRate]
+            ];
+            if (result.stoppedReason) {
+              lines.push(['Stopped', result.stoppedReason]);
+            }
+            
+            const table = document.getElementById('resultsTable');
+            lines.forEach(function(line) {
+              const row = table.insertRow();
+              row.insertCell().textContent = line[0];
+              row.insertCell().textContent = line[1];
+            });
+            document.getElementById('resultsTitle').textContent = result.dryRun ? 'Preview Results' : 'Reconciliation Results';
+            document.querySelector('.container').style.display = 'none';
+            document.getElementById('results').style.display = 'block';
+          }
+          
+          function openReport() {
+            google.script.run
+              .withSuccessHandler(function() { google.script.host.close(); })
+              .withFailureHandler(onFailure)
+              .showReconciliationReport(resultIsPreview);
           }
           
           function onFailure(error) {
@@ -195,10 +319,17 @@ function showPLReconciliationDialog() {
             alert('Error: ' + (error.message || 'An unexpected error occurred'));
           }
           
+          function updateMonthField() {
+            const fixed = document.getElementById('monthSource').value === 'fixed';
+            document.getElementById('monthGroup').style.display = fixed ? 'block' : 'none';
+          }
+          
           function validateMonth(month) {
-            const months = ['january', 'february', 'march', 'april', 'may', 'june', 
-                          'july', 'august', 'september', 'october', 'november', 'december'];
-            return months.includes(month.toLowerCase().trim());
+            // The month names the server accepts (INVOICE_MONTH_NAMES), English and Romanian
+            const months = <?!= JSON.stringify(monthNames) ?>;
+            const valid = months.includes(month.toLowerCase().trim());
+            document.getElementById('monthError').style.display = valid ? 'none' : 'block';
+            return valid;
           }
           
           function validateUrl(url) {
@@ -209,9 +340,10 @@ function showPLReconciliationDialog() {
     </html>
   `);
   
+  html.monthNames = Object.keys(INVOICE_MONTH_NAMES);
   const userInterface = html.evaluate()
     .setWidth(450)
-    .setHeight(500)
+    .setHeight(580)
     .setTitle('P&L Reconciliation');
     
   SpreadsheetApp.getUi().showModalDialog(userInterface, 'P&L Reconciliation');
@@ -219,13 +351,724 @@ function showPLReconciliationDialog() {
 
 /**
  * Entry point for P&L reconciliation
+ * @param {string} month - Month to process (e.g., "October")
+ * @param {string} plUrl - URL of the P&L spreadsheet
+ * @param {{preview: boolean, monthSource: string}} [options] - When preview is true, proposals go to the preview
+ *   sheet instead of the P&L; monthSource other than 'fixed' takes each invoice's month from a date column
  */
-function startPLReconciliation(month, plUrl) {
+function startPLReconciliation(month, plUrl, options = {}) {
   try {
-    const service = createPLReconciliationService(plUrl, month);
-    return service.processReconciliation(false); // Process all records
+    if (options.preview) {
+      const service = createPLReconciliationService(plUrl, month, { monthSource: options.monthSource });
+      const result = service.processPreviewReconciliation();
+      const previewSheet = createReconciliationPreviewService().writePreview(result.proposals, {
+        plUrl,
+        month,
+        monthSource: options.monthSource,
+        sourceSheetName: service.sourceSheetName
+      });
+      previewSheet.activate();
+
+      delete result.proposals;
+      return result;
+    }
+
+    // Process all records; long runs continue from a time-driven trigger
+    const sourceSheetName = SpreadsheetApp.getActiveSpreadsheet().getActiveSheet().getName();
+    const state = createReconciliationRunner().start(month, plUrl, sourceSheetName, options.monthSource || 'fixed');
+    return {
+      runId: state.runId,
+      status: state.status,
+      processedCount: state.processedCount,
+      matchedCount: state.matchedCount,
+      reviewCount: state.reviewCount,
+      errorCount: state.errorCount,
+      rejectedWriteCount: state.rejectedWriteCount,
+      unpostedAmount: state.unpostedAmount,
+      successRate: formatSuccessRate(state.matchedCount, state.processedCount),
+      stoppedReason: state.status === 'stopped' ? state.error : undefined,
+      nextRow: state.nextRow
+    };
   } catch (error) {
     console.error('Error in startPLReconciliation:', error);
     throw error;
   }
-} 
\ No newline at end of file
+}
+
+/**
+ * Posts the ticked rows of the Reconciliation_Preview sheet to the P&L
+ * Triggered from the menu
+ */
+function applyApprovedPreviewRows() {
+  const ui = SpreadsheetApp.getUi();
+  try {
+    const result = createReconciliationPreviewService().applyApprovedRows();
+    ui.alert(
+      'Apply approved rows',
+      `Applied: ${result.appliedCount}\nFailed: ${result.failedCount}\nNot ticked or already applied: ${result.skippedCount}`,
+      ui.ButtonSet.OK
+    );
+  } catch (error) {
+    console.error('Error in applyApprovedPreviewRows:', error);
+    ui.alert('Error', 'Could not apply preview rows: ' + error.message, ui.ButtonSet.OK);
+  }
+}
+
+/**
+ * Fills "Suma in EUR" and "EUR/RON" of the active sheet from BNR rates
+ * Triggered from the menu
+ */
+function computeEurAmounts() {
+  const ui = SpreadsheetApp.getUi();
+  try {
+    const sheet = SpreadsheetApp.getActiveSpreadsheet().getActiveSheet();
+    const result = createExchangeRateService().fillEurAmounts(sheet);
+    ui.alert(
+      'Compute EUR amounts',
+      `Converted: ${result.convertedCount}\n` +
+      `Converted with the rate of an earlier banking day: ${result.earlierRateCount}\n` +
+      `Flagged (no rate or unreadable amount, EUR amount cleared): ${result.flaggedCount}`,
+      ui.ButtonSet.OK
+    );
+  } catch (error) {
+    console.error('Error in computeEurAmounts:', error);
+    ui.alert('Error', 'Could not compute EUR amounts: ' + error.message, ui.ButtonSet.OK);
+  }
+}
+
+/**
+ * Downloads BNR reference rates into the FX_Rates sheet
+ * Triggered from the menu
+ */
+function showUpdateBnrRatesPrompt() {
+  const ui = SpreadsheetApp.getUi();
+  const response = ui.prompt(
+    'Update BNR rates',
+    'Leave empty for the latest daily rates, or enter a year (e.g. 2024) to load the whole year.',
+    ui.ButtonSet.OK_CANCEL
+  );
+  if (response.getSelectedButton() !== ui.Button.OK) return;
+
+  const year = response.getResponseText().trim();
+  if (year && !/^\d{4}$/.test(year)) {
+    ui.alert('Error', `"${year}" is not a year`, ui.ButtonSet.OK);
+    return;
+  }
+
+  try {
+    const addedCount = createExchangeRateService().updateFromBnr(year ? Number(year) : undefined);
+    ui.alert('Update BNR rates', `${addedCount} new rate(s) stored in FX_Rates.`, ui.ButtonSet.OK);
+  } catch (error) {
+    console.error('Error in showUpdateBnrRatesPrompt:', error);
+    ui.alert('Error', 'Could not update BNR rates: ' + error.message, ui.ButtonSet.OK);
+  }
+}
+
+/**
+ * Shows the e-Factura import dialog: a Drive folder, or XML/ZIP files uploaded from the computer
+ * Triggered from the menu
+ */
+function showEFacturaImportDialog() {
+  showFileImportDialog({
+    title: 'Import e-Factura XML',
+    accept: '.xml,.zip',
+    folderHint: 'Every .xml and SPV .zip file of the folder is read.',
+    folderHandler: 'importEFacturaFromFolder',
+    uploadHandler: 'importEFacturaUploads'
+  });
+}
+
+/**
+ * Shows a dialog importing the files of a Drive folder, or files uploaded from the computer,
+ * into the active sheet. The handlers receive the folder URL/id, or the files base64 encoded,
+ * and return a summary shown in the dialog.
+ * @private
+ * @param {{title: string, accept: string, folderHint: string, folderHandler: string, uploadHandler: string}} options
+ */
+function showFileImportDialog(options) {
+  const html = HtmlService.createHtmlOutput(`
+    <!DOCTYPE html>
+    <html>
+      <head>
+        <base target="_top">
+        <style>
+          body { font-family: Arial, sans-serif; padding: 20px; margin: 0; font-size: 14px; color: #202124; }
+          .form-group { margin-bottom: 20px; }
+          label { display: block; margin-bottom: 8px; font-weight: 500; }
+          input[type=text] { width: 100%; padding: 8px 12px; border: 1px solid #dadce0; border-radius: 4px; box-sizing: border-box; }
+          .info-text { color: #5f6368; font-size: 12px; margin-top: 4px; }
+          button { background-color: #1a73e8; color: white; padding: 10px 24px; border: none; border-radius: 4px; cursor: pointer; width: 100%; }
+          button:disabled { background-color: #dadce0; cursor: not-allowed; }
+          #status { margin-top: 12px; color: #5f6368; white-space: pre-wrap; }
+        </style>
+      </head>
+      <body>
+        <div class="form-group">
+          <label for="folder">Drive folder</label>
+          <input type="text" id="folder" placeholder="https://drive.google.com/drive/folders/..." autocomplete="off">
+          <div class="info-text">${options.folderHint}</div>
+        </div>
+        <div class="form-group">
+          <label for="files">Or upload files</label>
+          <input type="file" id="files" multiple accept="${options.accept}">
+        </div>
+        <button id="submitBtn" onclick="submitForm()">Import into the active sheet</button>
+        <div id="status"></div>
+
+        <script>
+          function submitForm() {
+            const folder = document.getElementById('folder').value.trim();
+            const files = Array.from(document.getElementById('files').files);
+            if (!folder && files.length === 0) {
+              setStatus('Enter a Drive folder or choose files.');
+              return;
+            }
+
+            document.getElementById('submitBtn').disabled = true;
+            setStatus('Importing...');
+            const runner = google.script.run.withSuccessHandler(onSuccess).withFailureHandler(onFailure);
+            if (folder) {
+              runner.${options.folderHandler}(folder);
+              return;
+            }
+
+            Promise.all(files.map(readFile))
+              .then(uploads => runner.${options.uploadHandler}(uploads))
+              .catch(error => onFailure({ message: 'Could not read the files: ' + (error && error.message || error) }));
+          }
+
+          function readFile(file) {
+            return new Promise((resolve, reject) => {
+              const reader = new FileReader();
+              reader.onload = () => resolve({
+                name: file.name,
+                mimeType: file.type || 'application/octet-stream',
+                data: reader.result.split(',')[1]
+              });
+              reader.onerror = () => reject(reader.error);
+              reader.readAsDataURL(file);
+            });
+          }
+
+          function onSuccess(message) {
+            document.getElementById('submitBtn').disabled = false;
+            setStatus(message);
+          }
+
+          function onFailure(error) {
+            document.getElementById('submitBtn').disabled = false;
+            setStatus('Error: ' + (error.message || 'An unexpected error occurred'));
+          }
+
+          function setStatus(text) {
+            document.getElementById('status').textContent = text;
+          }
+        </script>
+      </body>
+    </html>
+  `).setWidth(450).setHeight(360);
+
+  SpreadsheetApp.getUi().showModalDialog(html, options.title);
+}
+
+/**
+ * Imports the e-Factura files of a Drive folder into the active sheet
+ * @param {string} folder - Folder URL or id
+ * @returns {string} Import summary
+ */
+function importEFacturaFromFolder(folder) {
+  const match = /folders\/([\w-]+)/.exec(folder);
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getActiveSheet();
+  return formatEFacturaImportResult(createEFacturaImportService(sheet).importFolder(match ? match[1] : folder.trim()));
+}
+
+/**
+ * Imports uploaded e-Factura files into the active sheet
+ * @param {Array<{name: string, mimeType: string, data: string}>} uploads - Files, base64 encoded
+ * @returns {string} Import summary
+ */
+function importEFacturaUploads(uploads) {
+  const blobs = uploads.map(upload =>
+    Utilities.newBlob(Utilities.base64Decode(upload.data), upload.mimeType, upload.name));
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getActiveSheet();
+  return formatEFacturaImportResult(createEFacturaImportService(sheet).importFiles(blobs));
+}
+
+/**
+ * Formats an e-Factura import result for the dialog
+ * @private
+ */
+function formatEFacturaImportResult(result) {
+  return [
+    `Imported: ${result.importedCount}`,
+    `Skipped (already imported): ${result.skippedCount}`
+  ].concat(result.errors.map(error => `Not imported: ${error.file}: ${error.message}`)).join('\n');
+}
+
+/**
+ * Shows the bank statement import dialog (MT940 or CAMT.053)
+ * Triggered from the menu
+ */
+function showBankStatementImportDialog() {
+  showFileImportDialog({
+    title: 'Import bank statement',
+    accept: '.sta,.mt940,.940,.txt,.xml',
+    folderHint: 'Every MT940 (.sta, .mt940, .940, .txt) and CAMT.053 (.xml) file of the folder is read.',
+    folderHandler: 'importBankStatementsFromFolder',
+    uploadHandler: 'importBankStatementUploads'
+  });
+}
+
+/**
+ * Settles the active sheet with the statements of a Drive folder
+ * @param {string} folder - Folder URL or id
+ * @returns {string} Import summary
+ */
+function importBankStatementsFromFolder(folder) {
+  const match = /folders\/([\w-]+)/.exec(folder);
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getActiveSheet();
+  return formatBankStatementImportResult(createBankStatementService(sheet).importFolder(match ? match[1] : folder.trim()));
+}
+
+/**
+ * Settles the active sheet with uploaded statements
+ * @param {Array<{name: string, mimeType: string, data: string}>} uploads - Files, base64 encoded
+ * @returns {string} Import summary
+ */
+function importBankStatementUploads(uploads) {
+  const blobs = uploads.map(upload =>
+    Utilities.newBlob(Utilities.base64Decode(upload.data), upload.mimeType, upload.name));
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getActiveSheet();
+  return formatBankStatementImportResult(createBankStatementService(sheet).importFiles(blobs));
+}
+
+/**
+ * Formats a bank statement import result for the dialog
+ * @private
+ */
+function formatBankStatementImportResult(result) {
+  return [
+    `Payments settling invoices: ${result.settledCount}`,
+    `Unmatched (see Unmatched_Bank_Lines): ${result.unmatchedCount}`,
+    `Skipped (incoming, reversals or already imported): ${result.skippedCount}`
+  ].concat(result.errors.map(error => `Not imported: ${error.file}: ${error.message}`)).join('\n');
+}
+
+/**
+ * Applies the Unmatched_Bank_Lines rows that were given an invoice row in "Assign to Row"
+ * Triggered from the menu
+ */
+function applyAssignedBankLines() {
+  const ui = SpreadsheetApp.getUi();
+  try {
+    const result = createBankStatementService().applyAssignedLines();
+    ui.alert(
+      'Apply assigned bank lines',
+      [`Payments applied: ${result.settledCount}`].concat(result.errors).join('\n'),
+      ui.ButtonSet.OK
+    );
+  } catch (error) {
+    console.error('Error in applyAssignedBankLines:', error);
+    ui.alert('Error', 'Could not apply the assigned bank lines: ' + error.message, ui.ButtonSet.OK);
+  }
+}
+
+/**
+ * Flags suspected duplicate invoices of the active sheet and queues them in Duplicate_Review
+ * Triggered from the menu
+ */
+function checkDuplicateInvoices() {
+  const ui = SpreadsheetApp.getUi();
+  try {
+    const service = createDuplicateInvoiceService(SpreadsheetApp.getActiveSpreadsheet().getActiveSheet());
+    const result = service.flagDuplicates();
+    ui.alert(
+      'Check duplicates',
+      `Suspected duplicates held back: ${result.suspectedCount}\nNew in ${service.reviewSheetName}: ${result.newCount}`,
+      ui.ButtonSet.OK
+    );
+  } catch (error) {
+    console.error('Error in checkDuplicateInvoices:', error);
+    ui.alert('Error', 'Could not check for duplicates: ' + error.message, ui.ButtonSet.OK);
+  }
+}
+
+/**
+ * Applies the Duplicate_Review decisions to the active sheet
+ * Triggered from the menu
+ */
+function applyDuplicateDecisions() {
+  const ui = SpreadsheetApp.getUi();
+  try {
+    const result = createDuplicateInvoiceService(SpreadsheetApp.getActiveSpreadsheet().getActiveSheet()).processDecisions();
+    ui.alert(
+      'Apply duplicate decisions',
+      `Released for posting: ${result.releasedCount}\nConfirmed duplicates: ${result.confirmedCount}\nWaiting for a decision: ${result.pendingCount}`,
+      ui.ButtonSet.OK
+    );
+  } catch (error) {
+    console.error('Error in applyDuplicateDecisions:', error);
+    ui.alert('Error', 'Could not apply the duplicate decisions: ' + error.message, ui.ButtonSet.OK);
+  }
+}
+
+/**
+ * Shows where the current reconciliation run is and offers to resume an interrupted one
+ * Triggered from the menu
+ */
+function showReconciliationStatus() {
+  const ui = SpreadsheetApp.getUi();
+  const runner = createReconciliationRunner();
+  const state = runner.getState();
+  if (!state) {
+    ui.alert('Reconciliation status', 'No reconciliation run has been started yet.', ui.ButtonSet.OK);
+    return;
+  }
+
+  // A run killed mid-execution is still "running" without a trigger to continue it
+  const rescheduled = runner.rescheduleStaleRun();
+  if (rescheduled) {
+    ui.alert(
+      'Reconciliation status',
+      `Run ${rescheduled.runId} stopped without finishing (last checkpoint ${rescheduled.updatedAt}). ` +
+      `It continues from row ${rescheduled.nextRow} within a minute.`,
+      ui.ButtonSet.OK
+    );
+    return;
+  }
+
+  const interrupted = state.status !== 'completed' && !runner.isInProgress(state);
+  const lines = [
+    `Run: ${state.runId}`,
+    `Status: ${interrupted && state.status !== 'failed' && state.status !== 'stopped' ? 'interrupted' : state.status}`,
+    `Month: ${state.monthSource && state.monthSource !== 'fixed' ? `per invoice (${state.monthSource})` : state.month}`,
+    `Source sheet: ${state.sourceSheetName}`,
+    `Next row: ${state.nextRow}`,
+    `Processed: ${state.processedCount}, matched: ${state.matchedCount}, sent to review: ${state.reviewCount || 0}`,
+    `Errors: ${state.errorCount || 0}, writes rejected: ${state.rejectedWriteCount || 0}`,
+    `Not posted, belongs to another year: ${state.unpostedAmount || 0}`,
+    `Executions: ${state.executions}`,
+    `Started: ${state.startedAt}`,
+    `Last checkpoint: ${state.updatedAt}`
+  ];
+  if (state.error) {
+    lines.push(`Error: ${state.error}`);
+  }
+
+  if (!interrupted) {
+    ui.alert('Reconciliation status', lines.join('\n'), ui.ButtonSet.OK);
+    return;
+  }
+
+  const answer = ui.alert('Reconciliation status', lines.join('\n') + '\n\nResume this run now?', ui.ButtonSet.YES_NO);
+  if (answer !== ui.Button.YES) return;
+
+  try {
+    const resumed = runner.resume();
+    ui.alert('Reconciliation status', `Run ${resumed.runId} is ${resumed.status} (next row ${resumed.nextRow}).`, ui.ButtonSet.OK);
+  } catch (error) {
+    console.error('Error in showReconciliationStatus:', error);
+    ui.alert('Error', 'Could not resume run: ' + error.message, ui.ButtonSet.OK);
+  }
+}
+
+/**
+ * Shows the results of the latest reconciliation run, or of the latest preview, in a sidebar
+ * Triggered from the menu (latest run) and from the reconciliation dialog
+ * @param {boolean} [preview] - Show the preview report instead of the run report
+ */
+function showReconciliationReport(preview) {
+  const report = createReconciliationReportService({ preview: preview === true });
+  const template = HtmlService.createTemplate(`
+    <!DOCTYPE html>
+    <html>
+      <head>
+        <base target="_blank">
+        <style>
+          body {
+            font-family: Arial, sans-serif;
+            font-size: 13px;
+            color: #202124;
+            margin: 12px;
+          }
+          
+          h2 {
+            color: #1a73e8;
+            font-size: 15px;
+            font-weight: 500;
+            margin: 20px 0 8px;
+          }
+          
+          table {
+            width: 100%;
+            border-collapse: collapse;
+          }
+          
+          th, td {
+            text-align: left;
+            padding: 4px;
+            border-bottom: 1px solid #dadce0;
+            vertical-align: top;
+          }
+          
+          th {
+            color: #5f6368;
+            font-weight: 500;
+          }
+          
+          .amount {
+            text-align: right;
+            white-space: nowrap;
+          }
+          
+          .info-text {
+            color: #5f6368;
+            font-size: 12px;
+          }
+          
+          a {
+            color: #1a73e8;
+          }
+        </style>
+      </head>
+      <body>
+        <? if (summary.processedCount === 0) { ?>
+          <p>No reconciliation results yet. Run "P&L Reconciliation" first.</p>
+        <? } else { ?>
+          <div class="info-text">Run <?= summary.runId ?>, all rows in the <?= report.sheetName ?> sheet</div>
+          
+          <h2>Outcome</h2>
+          <table>
+            <? Object.keys(summary.outcomeCounts).forEach(function(outcome) { ?>
+              <tr><td><?= outcome ?></td><td class="amount"><?= summary.outcomeCounts[outcome] ?></td></tr>
+            <? }); ?>
+            <tr><th>Processed</th><th class="amount"><?= summary.processedCount ?></th></tr>
+            <tr><th>Success rate</th><th class="amount"><?= summary.successRate ?></th></tr>
+          </table>
+          
+          <h2>Posted per sheet</h2>
+          <table>
+            <? summary.perSheet.forEach(function(sheet) { ?>
+              <tr><td><?= sheet.sheet ?></td><td class="amount"><?= sheet.count ?> rows</td><td class="amount"><?= sheet.amount ?></td></tr>
+            <? }); ?>
+          </table>
+          
+          <h2>Posted per P&L line</h2>
+          <table>
+            <? summary.perLine.forEach(function(line) { ?>
+              <tr>
+                <td><a href="<?= line.link ?>"><?= line.reference ?></a> <?= line.plName ?></td>
+                <td class="amount"><?= line.count ?></td>
+                <td class="amount"><?= line.amount ?></td>
+              </tr>
+            <? }); ?>
+          </table>
+          
+          <h2>Unmatched suppliers</h2>
+          <table>
+            <? summary.unmatchedSuppliers.forEach(function(supplier) { ?>
+              <tr>
+                <td>
+                  <?= supplier.supplier ?><br>
+                  <? supplier.rows.forEach(function(row) { ?><a href="<?= row.link ?>">row <?= row.row ?></a> <? }); ?>
+                </td>
+                <td class="amount"><?= supplier.amount ?></td>
+              </tr>
+            <? }); ?>
+          </table>
+          
+          <h2>Errors and rejected writes</h2>
+          <table>
+            <? summary.failedRows.forEach(function(row) { ?>
+              <tr>
+                <td>
+                  <a href="<?= row.sourceLink ?>">Row <?= row.row ?></a> <?= row.supplier ?>
+                  <? if (row.targetLink) { ?>, <a href="<?= row.targetLink ?>"><?= row.reference ?></a><? } ?><br>
+                  <span class="info-text"><?= row.outcome ?>: <?= row.explanation ?></span>
+                </td>
+              </tr>
+            <? }); ?>
+          </table>
+          
+          <? if (summary.unpostedRows.length > 0) { ?>
+            <h2>Not posted, belongs to another year</h2>
+            <table>
+              <? summary.unpostedRows.forEach(function(row) { ?>
+                <tr>
+                  <td><a href="<?= row.sourceLink ?>">Row <?= row.row ?></a> <?= row.supplier ?></td>
+                  <td class="amount"><?= row.unpostedAmount ?></td>
+                </tr>
+              <? }); ?>
+              <tr><th>Total</th><th class="amount"><?= summary.unpostedAmount ?></th></tr>
+            </table>
+          <? } ?>
+          
+          <h2>Rows</h2>
+          <table>
+            <tr><th>Row</th><th>Supplier</th><th>Outcome</th><th class="amount">Posted</th></tr>
+            <? summary.rows.slice(0, maxRows).forEach(function(row) { ?>
+              <tr>
+                <td><a href="<?= row.sourceLink ?>"><?= row.row ?></a></td>
+                <td><?= row.supplier ?></td>
+                <td>
+                  <?= row.outcome ?>
+                  <? if (row.targetLink) { ?><br><a href="<?= row.targetLink ?>"><?= row.targetCell || row.reference ?></a><? } ?>
+                </td>
+                <td class="amount"><?= row.postedAmount ?></td>
+              </tr>
+            <? }); ?>
+          </table>
+          <? if (summary.rows.length > maxRows) { ?>
+            <p class="info-text">First <?= maxRows ?> of <?= summary.rows.length ?> rows; see the <?= report.sheetName ?> sheet for all.</p>
+          <? } ?>
+        <? } ?>
+      </body>
+    </html>
+  `);
+  template.report = report;
+  template.summary = report.summarize();
+  template.maxRows = 200;
+
+  SpreadsheetApp.getUi().showSidebar(template.evaluate().setTitle(preview === true ? 'Preview Report' : 'Reconciliation Report'));
+}
+
+/**
+ * Posts or rejects the Review_Queue rows that have a decision
+ * Triggered from the menu
+ */
+function postReviewedMatches() {
+  const ui = SpreadsheetApp.getUi();
+  try {
+    const result = createReviewQueueService().processDecisions();
+    ui.alert(
+      'Post reviewed matches',
+      `Posted: ${result.postedCount}\nRejected: ${result.rejectedCount}\nFailed: ${result.failedCount}\nWaiting for a decision: ${result.pendingCount}`,
+      ui.ButtonSet.OK
+    );
+  } catch (error) {
+    console.error('Error in postReviewedMatches:', error);
+    ui.alert('Error', 'Could not process the review queue: ' + error.message, ui.ButtonSet.OK);
+  }
+}
+
+/**
+ * Opens the Settings sheet, adding any missing default settings
+ * Triggered from the menu
+ */
+function showSettings() {
+  createSettingsService().getSettingsSheet().activate();
+}
+
+/**
+ * Shows calls, tokens and estimated cost of the most recent runs from LLM_Logs
+ * Triggered from the menu
+ */
+function showLLMSpendSummary() {
+  const ui = SpreadsheetApp.getUi();
+  try {
+    const runs = createLLMCallLogService().summarizeRuns(10);
+    if (runs.length === 0) {
+      ui.alert('LLM spend per run', 'No LLM calls have been logged yet.', ui.ButtonSet.OK);
+      return;
+    }
+
+    const lines = runs.map(run =>
+      `${run.runId}: ${run.callCount} call(s)` + (run.errorCount ? ` (${run.errorCount} failed)` : '') +
+      `, ${run.inputTokens} in / ${run.outputTokens} out tokens, ~$${run.estimatedCost.toFixed(4)}, ` +
+      `${Math.round(run.latencyMs / 1000)}s`);
+    ui.alert('LLM spend per run', lines.join('\n'), ui.ButtonSet.OK);
+  } catch (error) {
+    console.error('Error in showLLMSpendSummary:', error);
+    ui.alert('Error', 'Could not summarize LLM spend: ' + error.message, ui.ButtonSet.OK);
+  }
+}
+
+/**
+ * Opens the Supplier_Aliases sheet, where aliases can be edited or deleted
+ * Triggered from the menu
+ */
+function showSupplierAliases() {
+  createSupplierAliasService().getAliasSheet().activate();
+}
+
+/**
+ * Opens the Spreading_Rules sheet, where suppliers billed for several months at once get a default spread
+ * Triggered from the menu
+ */
+function showSpreadingRules() {
+  createSpreadingRuleService().getRulesSheet().activate();
+}
+
+/**
+ * Undoes the most recent reconciliation run
+ * Triggered from the menu
+ */
+function undoLastReconciliationRun() {
+  const ui = SpreadsheetApp.getUi();
+  const runId = createRunJournalService().getLastRunId();
+  if (!runId) {
+    ui.alert('Undo last run', 'No journaled reconciliation run found.', ui.ButtonSet.OK);
+    return;
+  }
+  undoReconciliationRun(runId);
+}
+
+/**
+ * Asks for a run id and undoes that run
+ * Triggered from the menu
+ */
+function showUndoRunPrompt() {
+  const ui = SpreadsheetApp.getUi();
+  const runs = createRunJournalService().listRuns(10);
+  const runList = runs
+    .map(run => `${run.runId} (${run.writeCount} writes${run.undone ? ', undone' : ''})`)
+    .join('\n');
+
+  const response = ui.prompt(
+    'Undo run',
+    `Enter the run id to undo.\n\nRecent runs:\n${runList || 'none'}`,
+    ui.ButtonSet.OK_CANCEL
+  );
+  if (response.getSelectedButton() !== ui.Button.OK) return;
+
+  const runId = response.getResponseText().trim();
+  if (runId) {
+    undoReconciliationRun(runId);
+  }
+}
+
+/**
+ * Undoes a reconciliation run, asking before skipping cells edited since the run
+ * @param {string} runId - Run to undo
+ */
+function undoReconciliationRun(runId) {
+  const ui = SpreadsheetApp.getUi();
+  try {
+    const journal = createRunJournalService();
+    let result = journal.undoRun(runId);
+
+    if (result.aborted) {
+      const conflictList = result.conflicts
+        .slice(0, 15)
+        .map(c => `${c.cell}: run wrote ${c.expected}, now ${c.current}`)
+        .join('\n');
+      const answer = ui.alert(
+        'Cells edited since the run',
+        `${result.conflicts.length} cell(s) changed after run ${runId}:\n${conflictList}\n\n` +
+          'Restore only the unchanged cells? Edited cells will be left as they are.',
+        ui.ButtonSet.YES_NO
+      );
+      if (answer !== ui.Button.YES) return;
+      result = journal.undoRun(runId, { skipEdited: true });
+    }
+
+    ui.alert(
+      'Undo run',
+      `Run ${runId}: restored ${result.restoredCount} cell(s), skipped ${result.conflicts.length} edited cell(s).`,
+      ui.ButtonSet.OK
+    );
+  } catch (error) {
+    console.error('Error in undoReconciliationRun:', error);
+    ui.alert('Error', 'Could not undo run: ' + error.message, ui.ButtonSet.OK);
+  }
+}
@@ -1,82 +1,216 @@
 /**
- * Main function to process invoice data
+ * Main function to normalize invoice data: amounts, dates, currency codes and supplier names
  * Triggered from the menu
  */
 function processInvoiceData() {
   try {
     const ss = SpreadsheetApp.getActiveSpreadsheet();
     const sheet = ss.getActiveSheet();
-    
-    // Define the columns to process
-    const columnsToProcess = {
-      'E': 'Suma TVA',
-      'F': 'Suma',
-      'G': 'Suma ramasa'
-    };
+    const settings = createSettingsService();
+    const timeZone = ss.getSpreadsheetTimeZone();
+
+    // Ambiguous values such as "1,234" are resolved by the sheet's locale hint (see Settings)
+    const localeHint = getNumberLocale(sheet.getName());
+    const parseNumber = value => parseAmount(value, localeHint);
+
+    // Define the columns to process; date and text columns follow the "Source columns" mapping
+    const columnsToProcess = [
+      { name: settings.get('Source columns', 'vatAmount'), normalize: parseNumber },
+      { name: settings.get('Source columns', 'amount'), normalize: parseNumber },
+      { name: settings.get('Source columns', 'remainingAmount'), normalize: parseNumber },
+      { name: settings.get('Source columns', 'issueDate'), normalize: parseInvoiceDate, dateFormat: 'dd.mm.yyyy' },
+      { name: settings.get('Source columns', 'dueDate'), normalize: parseInvoiceDate, dateFormat: 'dd.mm.yyyy' },
+      { name: settings.get('Source columns', 'uploadDate'), normalize: parseInvoiceDate, dateFormat: 'dd.mm.yyyy' },
+      { name: settings.get('Source columns', 'currency'), normalize: normalizeCurrencyCode },
+      { name: settings.get('Source columns', 'supplier'), normalize: cleanSupplierName }
+    ];
 
     // Get the data for processing
     const lastRow = sheet.getLastRow();
     const lastCol = sheet.getLastColumn();
     const headers = sheet.getRange(1, 1, 1, lastCol).getValues()[0];
 
+    const reportEntries = [];
+    const formatForReport = value => value instanceof Date ? Utilities.formatDate(value, timeZone, 'dd.MM.yyyy') : value;
+    let changedCount = 0;
+
     // Process each column separately
-    Object.entries(columnsToProcess).forEach(([col, name]) => {
-      const colIndex = headers.findIndex(header => header.toString().trim() === name);
-      if (colIndex !== -1) {
+    columnsToProcess.forEach(({ name, normalize, dateFormat }) => {
+      const colIndex = name ? headers.findIndex(header => header.toString().trim() === name) : -1;
+      if (colIndex !== -1 && lastRow > 1) {
         // Get only the column data
         const columnRange = sheet.getRange(2, colIndex + 1, lastRow - 1, 1);
         const columnData = columnRange.getValues();
-        
-        // Process the numbers
-        const processedData = columnData.map(([cell]) => [convertToNumber(cell)]);
-        
-        // Update only this column
-        columnRange.setValues(processedData);
+        let columnChanged = false;
+
+        // Normalize the values; cells that cannot be read safely keep their text, every change is reported
+        const processedData = columnData.map(([cell], index) => {
+          const result = normalize(cell);
+          if (result.status === 'empty') return [cell];
+
+          const unchanged = result.value === cell ||
+            (result.value instanceof Date && cell instanceof Date && result.value.getTime() === cell.getTime());
+          if (result.status === 'ok' && unchanged) return [cell];
+
+          reportEntries.push({
+            cell: sheet.getRange(index + 2, colIndex + 1).getA1Notation(),
+            column: name,
+            original: formatForReport(cell),
+            result: result.value === null ? '' : formatForReport(result.value),
+            status: result.status === 'ok' ? 'converted' : result.status,
+            note: result.reason || ''
+          });
+          if (result.value === null) return [cell];
+
+          changedCount++;
+          columnChanged = true;
+          return [result.value];
+        });
+
+        // Update only this column, and only when something changed
+        if (columnChanged) {
+          columnRange.setValues(processedData);
+          if (dateFormat) columnRange.setNumberFormat(dateFormat);
+        }
       }
     });
-    
+
+    createConversionReportService().write(reportEntries, sheet.getName());
+
     // Notify user
+    const unresolved = reportEntries.filter(entry => entry.result === '').length;
+    const ambiguous = reportEntries.filter(entry => entry.status === 'ambiguous' && entry.result !== '').length;
     SpreadsheetApp.getUi().alert(
-      'Success', 
-      'Numeric columns (Suma TVA, Suma, Suma ramasa) have been processed successfully! All other columns were preserved.', 
+      'Success',
+      `Invoice data (amounts, dates, currency codes, supplier names) has been normalized: ${changedCount} cell(s) changed` +
+        (ambiguous > 0 ? `, ${ambiguous} of them ambiguous and read by the locale hint` : '') + '.' +
+        (unresolved > 0 ? `\n${unresolved} ambiguous or unparseable cell(s) were left unchanged.` : '') +
+        (reportEntries.length > 0 ? '\nEvery change is listed in the Conversion_Report sheet.' : '') +
+        ' All other columns were preserved.',
       SpreadsheetApp.getUi().ButtonSet.OK
     );
   } catch (error) {
     console.error('Error in processInvoiceData:', error);
-    
+
     // Notify user of error
     SpreadsheetApp.getUi().alert(
-      'Error', 
-      'An error occurred while processing numeric columns: ' + error.message, 
+      'Error',
+      'An error occurred while normalizing invoice data: ' + error.message,
       SpreadsheetApp.getUi().ButtonSet.OK
     );
   }
 }
 
 /**
- * Converts a value to a standardized number format
- * @private
+ * Result of parsing an amount
+ * @typedef {Object} AmountParseResult
+ * @property {string} status - 'ok', 'ambiguous' (could be read two ways), 'unparseable' or 'empty'
+ * @property {number|null} value - Parsed number; null when unparseable, empty or ambiguous without a locale hint
+ * @property {string} [reason] - Why the value is ambiguous or unparseable
+ */
+
+/**
+ * Parses an amount written with either decimal separator.
+ * Spaces, non-breaking spaces and apostrophes are thousands separators; negatives may be written
+ * "-5", "5-" or "(5)"; a currency code or symbol around the number is ignored.
+ * With both "." and "," present, the last one is the decimal separator. A single separator is a
+ * thousands separator only when every group after it has exactly 3 digits: "1,234" or "1.234" is
+ * ambiguous and is resolved by the locale hint ('ro': decimal comma, 'en': decimal point).
+ * @param {*} value - Cell value
+ * @param {string} [localeHint] - 'ro' or 'en'; leave empty to report ambiguous values instead of guessing
+ * @returns {AmountParseResult}
  */
-function convertToNumber(value) {
-  if (typeof value === 'number') return value;
-  if (!value) return 0;
+function parseAmount(value, localeHint) {
+  if (typeof value === 'number') {
+    return isFinite(value) ? { status: 'ok', value } : { status: 'unparseable', value: null, reason: 'not a finite number' };
+  }
+
+  let text = (value === null || value === undefined ? '' : value).toString().trim();
+  if (!text) return { status: 'empty', value: null };
+
+  let negative = false;
+  if (/^\(.*\)$/.test(text)) {
+    negative = true;
+    text = text.slice(1, -1).trim();
+  }
 
-  // Convert to string and clean up
-  let strValue = value.toString()
-    .replace(/[^\d.,\-]/g, '') // Remove all except digits, dots, commas and minus
-    .trim();
+  // Currency code or symbol before or after the number
+  text = text.replace(/^(?:[A-Za-z]{1,4}\.?|[€$£])\s*/, '').replace(/\s*(?:[A-Za-z]{1,4}\.?|[€$£])$/, '');
 
-  if (!strValue) return 0;
+  if (/^[-−]/.test(text)) {
+    negative = !negative;
+    text = text.slice(1).trim();
+  } else if (/[-−]$/.test(text)) {
+    negative = !negative;
+    text = text.slice(0, -1).trim();
+  }
+
+  // Thousands separators that cannot be decimal separators (\s includes non-breaking spaces)
+  text = text.replace(/[\s'’]/g, '');
+
+  if (!/^\d[\d.,]*$/.test(text) || /[.,]$/.test(text)) {
+    return { status: 'unparseable', value: null, reason: 'not a number' };
+  }
+
+  const sign = negative ? -1 : 1;
+  const hasDot = text.includes('.');
+  const hasComma = text.includes(',');
+  const isGrouped = (digits, separator) => new RegExp(`^\\d{1,3}(\\${separator}\\d{3})+$`).test(digits);
+
+  if (hasDot && hasComma) {
+    const decimal = text.lastIndexOf('.') > text.lastIndexOf(',') ? '.' : ',';
+    const group = decimal === '.' ? ',' : '.';
+    const [integerPart, fraction] = text.split(decimal);
+    if (text.split(decimal).length !== 2 || !isGrouped(integerPart, group)) {
+      return { status: 'unparseable', value: null, reason: 'mixed separators do not form digit groups' };
+    }
+    return { status: 'ok', value: sign * Number(`${integerPart.split(group).join('')}.${fraction}`) };
+  }
+
+  if (!hasDot && !hasComma) {
+    return { status: 'ok', value: sign * Number(text) };
+  }
 
-  // Handle European format (1.234,56)
-  if (strValue.includes(',') && strValue.includes('.')) {
-    strValue = strValue.replace(/\./g, '').replace(',', '.');
+  const separator = hasDot ? '.' : ',';
+  const parts = text.split(separator);
+
+  // Repeated separator: only valid as thousands groups
+  if (parts.length > 2) {
+    if (!isGrouped(text, separator)) {
+      return { status: 'unparseable', value: null, reason: `"${separator}" repeated without 3-digit groups` };
+    }
+    return { status: 'ok', value: sign * Number(parts.join('')) };
   }
-  // Handle simple comma as decimal separator
-  else if (strValue.includes(',')) {
-    strValue = strValue.replace(',', '.');
+
+  const asDecimal = sign * Number(`${parts[0]}.${parts[1]}`);
+  const asThousands = sign * Number(parts.join(''));
+
+  // Not 3 digits after the separator, or a leading 0 ("0,125"): it can only be a decimal separator
+  if (parts[1].length !== 3 || !isGrouped(text, separator) || parts[0] === '0') {
+    return { status: 'ok', value: asDecimal };
   }
 
-  const number = parseFloat(strValue);
-  return isNaN(number) ? 0 : number;
-} 
\ No newline at end of file
+  const decimalSeparator = { ro: ',', en: '.' }[(localeHint || '').toString().trim().toLowerCase()];
+  const reason = `"${text}" may be ${asThousands} or ${asDecimal}`;
+  if (!decimalSeparator) {
+    return { status: 'ambiguous', value: null, reason };
+  }
+  return {
+    status: 'ambiguous',
+    value: separator === decimalSeparator ? asDecimal : asThousands,
+    reason: `${reason}; read as locale "${localeHint}"`
+  };
+}
+
+/**
+ * Gets the locale hint for amounts of a sheet: Settings scope "Number locale", key = sheet name,
+ * falling back to key "default"
+ * @param {string} sheetName - Invoice sheet name
+ * @returns {string} 'ro', 'en' or '' (no hint)
+ */
+function getNumberLocale(sheetName) {
+  const settings = createSettingsService();
+  const sheetLocale = settings.get('Number locale', sheetName);
+  const locale = (sheetLocale !== undefined && sheetLocale !== '' ? sheetLocale : settings.get('Number locale', 'default')) || '';
+  return locale.toString().trim().toLowerCase();
+}
@@ -1,15 +1,42 @@
 /**
  * Creates a PLReconciliation service instance
  * @param {string} spreadsheetUrl - URL of the target spreadsheet
- * @param {string} month - Month to process (e.g., "October")
+ * @param {string} month - Month to process (e.g., "October"); ignored when months come from a date column
+ * @param {Object} [options] - Optional settings
+ * @param {string} [options.sourceSheetName] - Invoice sheet to read; defaults to the active sheet
+ * @param {string} [options.monthSource='fixed'] - 'fixed' posts every row to the given month; 'issueDate',
+ *   'servicePeriodStart' or 'uploadDate' post each invoice to the month of that source column
+ * @param {string} [options.runId] - Journal run id for the writes of this service; a new one is generated if omitted
  * @return {Object} PLReconciliation service methods
  */
-function createPLReconciliationService(spreadsheetUrl, month) {
+function createPLReconciliationService(spreadsheetUrl, month, options = {}) {
   // Private variables
   const sourceSpreadsheet = SpreadsheetApp.getActiveSpreadsheet();
   const targetSpreadsheet = SpreadsheetApp.openByUrl(spreadsheetUrl);
   const startTime = new Date();
 
+  const sourceSheet = options.sourceSheetName
+    ? sourceSpreadsheet.getSheetByName(options.sourceSheetName)
+    : sourceSpreadsheet.getActiveSheet();
+  if (!sourceSheet) {
+    throw new Error(`Source sheet "${options.sourceSheetName}" not found in invoice spreadsheet`);
+  }
+
+  const journal = createRunJournalService();
+  const aliases = createSupplierAliasService();
+  const settings = createSettingsService();
+  const confidenceBands = settings.getConfidenceBands();
+  const maxPostingAmount = settings.get('Reconciliation', 'maxPostingAmount') === ''
+    ? Infinity
+    : Number(settings.get('Reconciliation', 'maxPostingAmount'));
+  if (isNaN(maxPostingAmount) || maxPostingAmount <= 0) {
+    throw new Error(`Setting Reconciliation / maxPostingAmount must be a positive number or empty, found "${settings.get('Reconciliation', 'maxPostingAmount')}"`);
+  }
+  const reviewQueue = createReviewQueueService();
+  const report = createReconciliationReportService();
+  const ledger = createPostingLedgerService();
+  const runId = options.runId || journal.createRunId();
+
   // Validate sheets exist
   const expensesSheet = targetSpreadsheet.getSheetByName('Expenses');
   if (!expensesSheet) {
@@ -21,180 +48,958 @@ function createPLReconciliationService(spreadsheetUrl, month) {
     throw new Error('Staffing sheet not found in target spreadsheet');
   }
 
-  // Validate sheet structures
-  function validateSheetStructure(sheet, sheetName, requiredColumn) {
-    const headers = sheet.getRange(2, 1, 1, sheet.getLastColumn()).getValues()[0];
-    const columnIndex = requiredColumn.toUpperCase().charCodeAt(0) - 65;
-    
-    if (columnIndex < 0 || columnIndex >= headers.length) {
-      throw new Error(`Required column ${requiredColumn} not found in ${sheetName} sheet`);
+  // Source headers are on row 1, P&L headers on row 2
+  const targetHeaderRow = 2;
+
+  // Month columns: the typed month for every row, or per invoice the month of a date column
+  const monthSource = options.monthSource || 'fixed';
+  const monthDateField = monthSource === 'fixed' ? null : monthSource;
+  if (monthDateField && !['issueDate', 'servicePeriodStart', 'uploadDate'].includes(monthDateField)) {
+    throw new Error(`Unknown month source "${monthSource}". Use fixed, issueDate, servicePeriodStart or uploadDate`);
+  }
+  const fixedMonth = monthDateField ? null : INVOICE_MONTH_NAMES[(month || '').toString().trim().toLowerCase()];
+  if (!monthDateField && !fixedMonth) {
+    throw new Error(`Unknown month "${month}". Enter a month name such as "October" or "Octombrie"`);
+  }
+  const monthNames = ['January', 'February', 'March', 'April', 'May', 'June',
+    'July', 'August', 'September', 'October', 'November', 'December'];
+
+  // Reads a header row; an empty sheet has no headers
+  function readHeaderRow(sheet, row) {
+    const lastColumn = sheet.getLastColumn();
+    return lastColumn > 0 && sheet.getLastRow() >= row
+      ? sheet.getRange(row, 1, 1, lastColumn).getValues()[0]
+      : [];
+  }
+
+  // Multi-month invoices: service period columns, per-supplier rules and the default split (see Spreading.js)
+  const spreadingRules = createSpreadingRuleService();
+  const defaultSpreadMethod = settings.get('Spreading', 'method').toString().trim().toLowerCase();
+  if (!spreadingRules.methods.includes(defaultSpreadMethod)) {
+    throw new Error(`Setting Spreading / method must be one of ${spreadingRules.methods.join(', ')}, found "${defaultSpreadMethod}"`);
+  }
+
+  // Resolve the mapped columns (see Settings) before anything is read or written.
+  // The service period columns are optional, unless months are taken from the period start.
+  const sourceColumns = settings.getColumnMap('Source columns', readHeaderRow(sourceSheet, 1),
+    sourceSheet.getName(), ['supplier', 'invoiceNumber', 'issueDate', 'amountEur', 'matchStatus',
+      'servicePeriodStart', 'servicePeriodEnd']
+      .concat(monthDateField === 'uploadDate' ? [monthDateField] : []),
+    ['servicePeriodStart', 'servicePeriodEnd'].filter(field => field !== monthDateField));
+  const expensesColumns = settings.getColumnMap('Expenses columns', readHeaderRow(expensesSheet, targetHeaderRow),
+    'Expenses', ['name', 'reconciledFlag'], ['reconciledFlag']);
+  const staffingColumns = settings.getColumnMap('Staffing columns', readHeaderRow(staffingSheet, targetHeaderRow),
+    'Staffing', ['name']);
+
+  const targetUrl = targetSpreadsheet.getUrl();
+
+  // Per-run caches: P&L candidate list, candidate names by reference, local matcher,
+  // match results per supplier key and month column per target sheet and month
+  let candidateCache = null;
+  let candidateNameCache = null;
+  let localMatcher = null;
+  const supplierMatchCache = {};
+  const monthColumnCache = {};
+
+  /**
+   * Writes a cell and records the write in the run journal
+   * @private
+   * @param {Range} range - Cell to write
+   * @param {*} value - New value
+   * @param {string} change - Journal change type ('amount', 'reconciled flag' or 'match status')
+   * @param {number} sourceRow - Invoice row that caused the write
+   */
+  function journaledSetValue(range, value, change, sourceRow) {
+    const sheet = range.getSheet();
+    const oldValue = range.getValue();
+    const oldBackground = range.getBackground();
+    range.setValue(value);
+
+    journal.record({
+      runId,
+      spreadsheetUrl: sheet.getParent().getUrl(),
+      sheetName: sheet.getName(),
+      cell: range.getA1Notation(),
+      oldValue,
+      newValue: value,
+      sourceRow,
+      change,
+      oldBackground
+    });
+
+    return oldValue;
+  }
+
+  /**
+   * Updates the matched status in the source file; `matchResult.postingNote` (e.g. how a spread
+   * invoice was split) is added to the cell note
+   * @private
+   */
+  function updateMatchedStatus(row, matchResult) {
+    try {
+      const matchedCell = sourceSheet.getRange(row, sourceColumns.matchStatus + 1);
+
+      if (matchResult.isMatch) {
+        journaledSetValue(matchedCell, matchResult.reference, 'match status', row);
+        matchedCell.setBackground('#b7e1cd'); // Green
+      } else if (matchResult.needsReview) {
+        journaledSetValue(matchedCell, 'Needs review', 'match status', row);
+        matchedCell.setBackground('#f9cb9c'); // Orange
+      } else if (matchResult.writeRejected) {
+        journaledSetValue(matchedCell, 'Write rejected', 'match status', row);
+        matchedCell.setBackground('#d9d2e9'); // Purple
+        matchedCell.setNote(matchResult.explanation);
+        return;
+      } else if (matchResult.isError) {
+        // Retried on the next run
+        journaledSetValue(matchedCell, 'Error', 'match status', row);
+        matchedCell.setBackground('#f4c7c3'); // Red
+        matchedCell.setNote(matchResult.explanation);
+        return;
+      } else {
+        journaledSetValue(matchedCell, 'No match', 'match status', row);
+        matchedCell.setBackground('#cccccc'); // Gray
+      }
+      matchedCell.setNote([
+        matchResult.method
+          ? `Matched by: ${matchResult.method}` +
+            (matchResult.isMatch || matchResult.needsReview ? ` (confidence ${matchResult.confidence})` : '')
+          : '',
+        matchResult.postingNote || ''
+      ].filter(Boolean).join('\n'));
+    } catch (error) {
+      throw error;
     }
   }
 
-  // Validate both sheets
-  validateSheetStructure(expensesSheet, 'Expenses', 'C');  // Validate Furnizor column
-  validateSheetStructure(staffingSheet, 'Staffing', 'D');  // Validate Partener column
+  /**
+   * Highlights a source CUI cell whose code fails validation, so the master data can be fixed.
+   * Empty cells are left alone; a previously flagged cell is cleared once the code is valid.
+   * @private
+   * @param {number} row - Source sheet row number (1-based)
+   * @param {number} column - CUI column number (1-based)
+   * @param {*} value - CUI cell value
+   * @param {string} currentNote - Note currently on the CUI cell
+   */
+  function flagInvalidFiscalCode(row, column, value, currentNote) {
+    const check = validateFiscalCode(value);
+    if (check.reason === 'empty') return;
 
-  const monthColumn = `${month} real`;
+    const cell = sourceSheet.getRange(row, column);
+    if (!check.valid) {
+      cell.setBackground('#fce8b2'); // Yellow
+      cell.setNote(`Invalid CUI: ${check.reason}`);
+    } else if (currentNote.startsWith('Invalid CUI')) {
+      cell.setBackground(null);
+      cell.setNote('');
+    }
+  }
 
   /**
-   * Creates a matching query for the LLM
+   * Builds the list of P&L lines to match against, reading both sheets once per service instance.
+   * Lines are the rows below the header row with a name in the mapped name column; they carry
+   * their CUI when the sheet has a CUI/CIF column and the code is valid.
    * @private
+   * @returns {Array<{name: string, reference: string, cui: string}>}
    */
-  function createMatchingQuery(supplier, targetData) {
-    const prompt = `Act as an experienced accountant who understands company names and their variations.
+  function getCandidates() {
+    if (candidateCache) return candidateCache;
 
-Task: Find if this company "${supplier}" matches any company in the list below.
+    // Get data from both sheets
+    const expensesData = expensesSheet.getDataRange().getValues();
+    const staffingData = staffingSheet.getDataRange().getValues();
 
-When trying to recognize act as a normal human being, and user your brain to understand the contex. 
-The files are used for different purposes so extra information might be added to the company name. 
-Do not consider the company specific denominators as SRL, S.R.L., SA, S.A. as they might or might not be present. 
+    // Create potential matches from a sheet with direct cell references to the name column
+    function sheetCandidates(data, sheetName, nameIndex) {
+      const cuiIndex = data.length >= targetHeaderRow ? findFiscalCodeColumnIndex(data[targetHeaderRow - 1]) : -1;
+      const nameColumn = columnToLetter(nameIndex + 1);
 
-List of potential matches:
-${targetData.join('\n')}
+      return data.slice(targetHeaderRow)
+        .map((row, index) => {
+          const check = cuiIndex !== -1 ? validateFiscalCode(row[cuiIndex]) : { valid: false };
+          return {
+            name: row[nameIndex].toString(),
+            reference: `${sheetName}!${nameColumn}${index + targetHeaderRow + 1}`,
+            cui: check.valid ? check.code : ''
+          };
+        })
+        .filter(match => match.name.trim() !== '');
+    }
 
-Reply in JSON format:
-{
-  "matched": boolean,
-  "lineNumber": number or null,
-  "confidence": number (0.0-1.0),
-  "explanation": "Detailed explanation of why this is or isn't a match, including what patterns or variations were considered"
-}
+    const expensesMatches = sheetCandidates(expensesData, 'Expenses', expensesColumns.name);
+    const staffingMatches = sheetCandidates(staffingData, 'Staffing', staffingColumns.name);
 
-Remember: It's better to find a correct match with medium confidence than miss a valid match due to strict matching.`;
+    // Combine matches from both sheets
+    candidateCache = [...expensesMatches, ...staffingMatches];
+    return candidateCache;
+  }
 
-    // Log only the prompt
-    console.log("\n=== LLM REQUEST ===");
-    console.log(prompt);
-    console.log("=== END REQUEST ===\n");
+  /**
+   * Gets the P&L line name at each candidate reference
+   * @private
+   * @returns {Object<string, string>} Names keyed by reference (e.g. "Expenses!C14")
+   */
+  function getCandidateNames() {
+    if (candidateNameCache) return candidateNameCache;
 
-    return prompt;
+    candidateNameCache = {};
+    getCandidates().forEach(candidate => {
+      candidateNameCache[candidate.reference] = candidate.name;
+    });
+    return candidateNameCache;
   }
 
   /**
-   * Process LLM response for matching decision
+   * Gets the deterministic name matcher over the P&L candidates
    * @private
    */
-  function processLLMResponse(response) {
-    try {
-      // Log only the response
-      console.log("\n=== LLM RESPONSE ===");
-      console.log(response);
-      console.log("=== END RESPONSE ===\n");
+  function getLocalMatcher() {
+    if (!localMatcher) {
+      localMatcher = createCompanyNameMatcher(getCandidates());
+    }
+    return localMatcher;
+  }
 
-      return JSON.parse(response);
-    } catch (error) {
-      throw error;
+  /**
+   * Key under which invoices of the same supplier share one match
+   * @private
+   */
+  function supplierKey(supplier) {
+    return normalizeSupplierKey(supplier);
+  }
+
+  /**
+   * Sorts a proposed match into a confidence band (see Settings):
+   * auto-post (isMatch), needs review (needsReview) or reject (neither)
+   * @private
+   * @param {{reference: string, confidence: number}} match - Proposed match with a reference
+   * @returns {Object} The match with isMatch and needsReview set
+   */
+  function applyConfidenceBands(match) {
+    const confidence = Number(match.confidence) || 0;
+    return {
+      ...match,
+      isMatch: confidence >= confidenceBands.autoPostThreshold,
+      needsReview: confidence >= confidenceBands.reviewThreshold && confidence < confidenceBands.autoPostThreshold
+    };
+  }
+
+  /**
+   * Converts a matching service result into a reconciliation match result
+   * @private
+   */
+  function toMatchResult(matchResult) {
+    // No valid answer (API error or reply failing the schema): not a real no-match
+    if (matchResult.error) {
+      return { isMatch: false, isError: true, method: 'llm', explanation: `LLM error: ${matchResult.error}` };
+    }
+
+    if (matchResult.matched && matchResult.reference) {
+      return applyConfidenceBands({
+        reference: matchResult.reference,
+        confidence: matchResult.confidence,
+        explanation: matchResult.explanation,
+        sheet: matchResult.reference.split('!')[0],
+        method: 'llm'
+      });
     }
+
+    return { isMatch: false, method: 'llm' };
   }
 
   /**
-   * Updates the matched status in the source file
+   * Matches an entry on its CUI when both the invoice and exactly one P&L line carry the same valid code
    * @private
+   * @param {{cui: string}} entry - The invoice entry
+   * @returns {Object|null} Match result, or null when name matching must decide
    */
-  function updateMatchedStatus(row, matchResult) {
-    try {
-      const sheet = sourceSpreadsheet.getActiveSheet();
-      const matchedCell = sheet.getRange(row, 16); // Column P
+  function matchByFiscalCode(entry) {
+    const check = validateFiscalCode(entry.cui);
+    if (!check.valid) return null;
 
-      if (matchResult.isMatch) {
-        matchedCell.setValue(matchResult.reference);
-        matchedCell.setBackground('#b7e1cd'); // Green
-      } else {
-        matchedCell.setValue('No match');
-        matchedCell.setBackground('#cccccc'); // Gray
+    const sameCode = getCandidates().filter(candidate => candidate.cui === check.code);
+    if (sameCode.length !== 1) return null;
+
+    return {
+      isMatch: true,
+      reference: sameCode[0].reference,
+      confidence: 1,
+      explanation: `CUI ${check.code} matches ${sameCode[0].reference}: ${sameCode[0].name}`,
+      sheet: sameCode[0].reference.split('!')[0],
+      method: 'cui'
+    };
+  }
+
+  /**
+   * Finds the P&L line matching a single entry without writing to the P&L
+   * @private
+   * @param {{supplier: string, cui: string, amount: number}} entry - The invoice entry to match
+   * @param {{learn: boolean}} [matchOptions] - See findMatches
+   * @returns {{isMatch: boolean, reference?: string, confidence?: number, explanation?: string, sheet?: string}}
+   */
+  function findMatch(entry, matchOptions = {}) {
+    return findMatches([entry], matchOptions)[0];
+  }
+
+  /**
+   * Matches many entries at once.
+   * Entries whose valid CUI matches a P&L line are resolved on the CUI and skip name matching.
+   * For the others each distinct supplier is resolved a single time and every invoice
+   * of that supplier reuses the result: by a valid alias, by the local name matcher
+   * (exact or near-exact normalized names) and only then by the LLM provider.
+   * Every result records the method that produced it: 'cui', 'alias', 'exact-name', 'fuzzy-name' or 'llm'.
+   * @private
+   * @param {Array<{supplier: string, cui: string}>} entries - Invoice entries to match
+   * @param {{learn: boolean}} [matchOptions] - When learn is true, high-confidence matches are stored as aliases
+   * @returns {Object[]} One match result per entry, in input order
+   */
+  function findMatches(entries, matchOptions = {}) {
+    const matches = new Array(entries.length);
+    const suppliersByKey = {};
+    const entryIndexesByKey = {};
+    entries.forEach((entry, index) => {
+      const cuiMatch = matchByFiscalCode(entry);
+      if (cuiMatch) {
+        matches[index] = cuiMatch;
+        return;
       }
-    } catch (error) {
-      throw error;
+
+      const key = supplierKey(entry.supplier);
+      if (!key) {
+        matches[index] = { isMatch: false };
+        return;
+      }
+      if (!(key in suppliersByKey)) {
+        suppliersByKey[key] = entry.supplier.toString().trim();
+        entryIndexesByKey[key] = [];
+      }
+      entryIndexesByKey[key].push(index);
+    });
+
+    // Suppliers already resolved earlier in this run reuse their result
+    const results = supplierMatchCache;
+    const candidateNames = getCandidateNames();
+
+    // Known suppliers: use the alias if its P&L line still carries the confirmed name
+    const keys = Object.keys(suppliersByKey).filter(key => !(key in results)).filter(key => {
+      const alias = aliases.lookup(suppliersByKey[key]);
+      if (!alias || !aliases.verify(alias, candidateNames[alias.reference])) {
+        return true;
+      }
+
+      results[key] = {
+        isMatch: true,
+        reference: alias.reference,
+        confidence: 1,
+        explanation: `Known supplier alias (${alias.source}): ${alias.plName}`,
+        sheet: alias.reference.split('!')[0],
+        method: 'alias'
+      };
+      return false;
+    }).filter(key => {
+      // Deterministic pre-pass: only ambiguous or unknown names go to the LLM
+      const localMatch = getLocalMatcher().match(suppliersByKey[key]);
+      if (localMatch.status !== 'exact' && localMatch.status !== 'near') {
+        return true;
+      }
+
+      results[key] = applyConfidenceBands({
+        reference: localMatch.reference,
+        confidence: localMatch.confidence,
+        explanation: localMatch.explanation,
+        sheet: localMatch.reference.split('!')[0],
+        method: localMatch.method
+      });
+      return false;
+    });
+
+    if (keys.length > 0) {
+      const matchingService = getMatchingService({ runId });
+      const matchResults = matchingService.matchClients(
+        keys.map(key => suppliersByKey[key]),
+        getCandidates(),
+        keys.map(key => entryIndexesByKey[key].map(index => entries[index].row))
+      );
+      keys.forEach((key, index) => {
+        results[key] = toMatchResult(matchResults[index]);
+
+        // A suggestion a reviewer rejected before is not proposed again
+        if (results[key].reference && aliases.isRejected(suppliersByKey[key], results[key].reference)) {
+          results[key] = {
+            isMatch: false,
+            method: 'llm',
+            explanation: `Suggestion ${results[key].reference} was rejected in review`
+          };
+        }
+
+        if (matchOptions.learn && results[key].isMatch && candidateNames[results[key].reference] !== undefined) {
+          aliases.remember({
+            supplier: suppliersByKey[key],
+            reference: results[key].reference,
+            plName: candidateNames[results[key].reference],
+            source: 'auto',
+            confidence: results[key].confidence
+          });
+        }
+      });
+      console.log(`Matched ${keys.length} distinct suppliers with ${matchingService.provider} (${matchingService.model}) for ${entries.length} invoices`);
     }
+
+    Object.keys(entryIndexesByKey).forEach(key => {
+      entryIndexesByKey[key].forEach(index => {
+        matches[index] = results[key];
+      });
+    });
+    return matches;
   }
 
   /**
-   * Matches and updates a single entry
+   * Month (1-12) named by a "{month} real" header, in English or Romanian ("October real", "Octombrie real")
    * @private
+   * @returns {number|undefined}
    */
-  function matchAndUpdateEntry(entry) {
+  function monthOfHeader(header) {
+    const match = /^(.+?)\s+real$/i.exec(header.toString().trim());
+    return match
+      ? INVOICE_MONTH_NAMES[match[1].toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '')]
+      : undefined;
+  }
+
+  /**
+   * Finds the "{month} real" column of a month in a target sheet
+   * @private
+   * @param {Sheet} targetSheet - Expenses or Staffing sheet
+   * @param {string} sheetName - Name of the sheet, used in error messages
+   * @param {number} monthNumber - Month (1-12)
+   * @returns {{index: number, header: string}} Zero-based column index and the header as written
+   */
+  function findMonthColumn(targetSheet, sheetName, monthNumber) {
+    const cacheKey = `${sheetName}|${monthNumber}`;
+    if (cacheKey in monthColumnCache) return monthColumnCache[cacheKey];
+
+    const headers = readHeaderRow(targetSheet, targetHeaderRow)
+      .map(header => header.toString().trim());
+    const positions = [];
+    headers.forEach((header, index) => {
+      if (monthOfHeader(header) === monthNumber) positions.push(index);
+    });
+
+    if (positions.length === 0) {
+      const nonEmptyHeaders = headers.filter(h => h !== '');
+      throw new Error(`Column "${monthNames[monthNumber - 1]} real" not found in ${sheetName} sheet. Available non-empty columns: ${nonEmptyHeaders.join(', ')}`);
+    }
+    if (positions.length > 1) {
+      throw new Error(`Column "${monthNames[monthNumber - 1]} real" appears more than once in ${sheetName} sheet: ${positions.map(index => headers[index]).join(', ')}`);
+    }
+
+    monthColumnCache[cacheKey] = { index: positions[0], header: headers[positions[0]] };
+    return monthColumnCache[cacheKey];
+  }
+
+  /**
+   * Month (1-12) an entry is posted to: the typed month, or the month of its date column
+   * @private
+   * @returns {{month: number|null, reason?: string}}
+   */
+  function entryMonth(entry) {
+    if (!monthDateField) return { month: fixedMonth };
+
+    const date = parseInvoiceDate(invoiceOf(entry)[monthDateField]);
+    if (!date.value) {
+      const header = settings.get('Source columns', monthDateField);
+      return { month: null, reason: `no month to post to: "${header}" is ${date.status === 'empty' ? 'empty' : date.reason}` };
+    }
+    return { month: date.value.getMonth() + 1 };
+  }
+
+  /**
+   * Splits an entry into the amounts posted per month: the whole amount in the entry's month, or,
+   * for a multi-month invoice, portions over its service period ("servicePeriodStart"/"servicePeriodEnd")
+   * or over the period of its supplier's spreading rule (see Spreading.js). Portions outside the year
+   * of the first month belong to another P&L and are returned apart.
+   * @private
+   * @returns {{portions: Array<{month: number, amount: number}>, otherYears: MonthPortion[], method?: string,
+   *   reason?: string}} `reason` when the entry has no month to post to
+   */
+  function planPortions(entry) {
+    const invoice = invoiceOf(entry);
+    const rule = spreadingRules.lookup(invoice.supplier);
+    const serviceStart = parseInvoiceDate(invoice.servicePeriodStart).value;
+    const serviceEnd = parseInvoiceDate(invoice.servicePeriodEnd).value;
+
+    let period = null;
+    let method = rule ? rule.method : defaultSpreadMethod;
+    if (serviceStart && serviceEnd) {
+      if (serviceEnd < serviceStart) {
+        return { portions: [], otherYears: [], reason: 'the service period ends before it starts' };
+      }
+      period = { start: serviceStart, end: serviceEnd };
+    } else if (rule) {
+      const start = serviceStart || parseInvoiceDate(invoice.issueDate).value;
+      if (!start) {
+        return { portions: [], otherYears: [], reason: `no date to spread ${rule.months} months from: "Data emitere" is empty` };
+      }
+      period = spreadingRules.periodOf(rule, start);
+    }
+
+    if (!period) {
+      const { month: monthNumber, reason } = entryMonth(entry);
+      return monthNumber
+        ? { portions: [{ month: monthNumber, amount: entry.amount }], otherYears: [] }
+        : { portions: [], otherYears: [], reason };
+    }
+
+    const split = splitAmountByMonths(entry.amount, period.start, period.end, method);
+    const year = split[0].year;
+    return {
+      portions: split.filter(portion => portion.year === year),
+      otherYears: split.filter(portion => portion.year !== year),
+      method
+    };
+  }
+
+  /**
+   * Why an entry cannot be posted to a target sheet: no month, or no column for one of its months
+   * @private
+   * @param {Object} entry - The invoice entry
+   * @param {string} [sheetName] - 'Expenses' or 'Staffing'; when omitted only the months are checked
+   * @returns {string|null} Reason, or null when the month columns exist
+   */
+  function findMonthProblem(entry, sheetName) {
+    const { portions, reason } = planPortions(entry);
+    if (reason) return reason;
+    if (sheetName !== 'Expenses' && sheetName !== 'Staffing') return null;
+
     try {
-      // Get data from both sheets
-      const expensesData = expensesSheet.getDataRange().getValues();
-      const staffingData = staffingSheet.getDataRange().getValues();
+      portions.forEach(portion =>
+        findMonthColumn(sheetName === 'Expenses' ? expensesSheet : staffingSheet, sheetName, portion.month));
+      return null;
+    } catch (error) {
+      return error.message;
+    }
+  }
 
-      // Create potential matches from both sheets with direct cell references
-      const expensesMatches = expensesData.slice(1)
-        .map((row, index) => ({
-          name: row[2].toString(), // Column C
-          reference: `Expenses!C${index + 2}`
-        }))
-        .filter(match => match.name.trim() !== '');
+  /**
+   * Resolves a match reference (e.g. "Expenses!C128") to the cell that receives the amount
+   * @private
+   * @param {string} reference - Sheet and cell of the matched P&L line
+   * @param {number} monthNumber - Month (1-12) of the column receiving the amount
+   * @returns {{sheetName: string, targetSheet: Sheet, rowNumber: number, targetCell: Range, monthHeader: string}}
+   */
+  function resolveTargetCell(reference, monthNumber) {
+    const referenceMatch = /^(Expenses|Staffing)![A-Z]+(\d+)$/.exec((reference || '').toString().trim());
+    if (!referenceMatch) {
+      throw new Error(`Invalid P&L reference "${reference}". Expected format: Expenses!C14 or Staffing!D7`);
+    }
 
-      const staffingMatches = staffingData.slice(1)
-        .map((row, index) => ({
-          name: row[3].toString(), // Column D
-          reference: `Staffing!D${index + 2}`
-        }))
-        .filter(match => match.name.trim() !== '');
+    const sheetName = referenceMatch[1];
+    const targetSheet = sheetName === 'Expenses' ? expensesSheet : staffingSheet;
+    const rowNumber = parseInt(referenceMatch[2], 10);
+    const monthColumn = findMonthColumn(targetSheet, sheetName, monthNumber);
 
-      // Combine matches from both sheets
-      const allPotentialMatches = [...expensesMatches, ...staffingMatches];
-
-      // Create single prompt with all matches
-      const prompt = createMatchingQuery(entry.supplier, 
-        allPotentialMatches.map(m => `${m.reference}: ${m.name}`));
-
-      const claude = getClaudeService();
-      // Pass the matches with name and reference
-      const matchResult = claude.matchClient(entry.supplier, allPotentialMatches);
-
-      if (matchResult.matched && matchResult.confidence > 0.5) {
-        // Parse the reference to get sheet and cell
-        const [sheetName, cellRef] = matchResult.reference.split('!');
-        const targetSheet = sheetName === 'Expenses' ? expensesSheet : staffingSheet;
-        
-        // Get the row number from the cell reference (e.g., C128 -> 128)
-        const rowNumber = parseInt(cellRef.match(/\d+/)[0]);
-        
-        // Find the month column in the target sheet
-        const headers = targetSheet.getRange(2, 1, 1, targetSheet.getLastColumn()).getValues()[0]
-          .map(header => header.toString().trim());
-        
-        const monthColumnIndex = headers.findIndex(header => {
-          const headerStr = header.toString().trim();
-          const monthStr = monthColumn.toString().trim();
-          return headerStr === monthStr;
-        });
-        
-        if (monthColumnIndex === -1) {
-          const nonEmptyHeaders = headers.filter(h => h !== '');
-          throw new Error(`Column "${monthColumn}" not found in ${sheetName} sheet. Available non-empty columns: ${nonEmptyHeaders.join(', ')}`);
-        }
+    return {
+      sheetName,
+      targetSheet,
+      rowNumber,
+      targetCell: targetSheet.getRange(rowNumber, monthColumn.index + 1),
+      monthHeader: monthColumn.header
+    };
+  }
+
+  /**
+   * Resolves the cells of each month portion of an entry (see planPortions)
+   * @private
+   * @returns {{plan: Object, targets: Array<{sheetName: string, targetSheet: Sheet, rowNumber: number,
+   *   targetCell: Range, monthHeader: string, cellKey: string, amount: number}>}}
+   */
+  function resolveTargets(entry, reference) {
+    const plan = planPortions(entry);
+    const targets = plan.portions.map(portion => {
+      const target = resolveTargetCell(reference, portion.month);
+      return { ...target, cellKey: `${target.sheetName}!${target.targetCell.getA1Notation()}`, amount: portion.amount };
+    });
+    return { plan, targets };
+  }
+
+  /**
+   * Checks a posting against the write guardrails before anything is written:
+   * the reference must be one of the offered P&L candidates, the name at that cell must still
+   * equal the candidate name, every target cell must be empty or numeric (not a formula) and
+   * the amount must be finite and within maxPostingAmount (see Settings). When the invoice was posted
+   * before with another amount or target, the cells of that posting must still hold numbers.
+   * @private
+   * @param {{row: number, amount: number}} entry - The invoice entry
+   * @param {string} reference - P&L reference to post to (e.g. "Expenses!C128")
+   * @returns {string|null} Reason the write is rejected, or null when it may proceed
+   */
+  function verifyPosting(entry, reference) {
+    const trimmed = (reference || '').toString().trim();
+    const candidateName = getCandidateNames()[trimmed];
+    if (candidateName === undefined) {
+      return `${trimmed || '(empty reference)'} is not one of the P&L lines offered for matching`;
+    }
+
+    if (typeof entry.amount !== 'number' || !isFinite(entry.amount)) {
+      return `amount "${entry.amount}" is not a finite number`;
+    }
+    if (Math.abs(entry.amount) > maxPostingAmount) {
+      return `amount ${entry.amount} exceeds the per-posting limit of ${maxPostingAmount}`;
+    }
 
-        // Update the amount in the target sheet using the exact row number
-        const targetCell = targetSheet.getRange(rowNumber, monthColumnIndex + 1);
-        const currentValue = targetCell.getValue() || 0;
-        const newValue = currentValue + entry.amount;
-        targetCell.setValue(newValue);
+    const { plan, targets } = resolveTargets(entry, trimmed);
+    if (plan.reason) {
+      return plan.reason;
+    }
+
+    const currentName = targets[0].targetSheet.getRange(trimmed.split('!')[1]).getValue().toString().trim();
+    if (currentName !== candidateName.trim()) {
+      return `${trimmed} now holds "${currentName}" instead of "${candidateName.trim()}"`;
+    }
+
+    for (const { targetCell } of targets) {
+      if (targetCell.getFormula()) {
+        return `target cell ${targetCell.getA1Notation()} holds a formula`;
+      }
+      const currentValue = targetCell.getValue();
+      if (currentValue !== '' && typeof currentValue !== 'number') {
+        return `target cell ${targetCell.getA1Notation()} holds non-numeric value "${currentValue}"`;
+      }
+    }
 
-        // If match is in Expenses sheet, mark "yes" in column AC
-        if (sheetName === 'Expenses') {
-          const markCell = expensesSheet.getRange(rowNumber, 29); // Column AC (29th column)
-          markCell.setValue('yes');
+    // A changed posting first takes its amounts back from the cells it was posted to
+    const posted = findPosted(entry);
+    if (posted.length > 0 && !isSamePosting(posted, targets)) {
+      for (const record of posted) {
+        const postedCell = targetSpreadsheet.getRange(record.targetCell);
+        const postedValue = postedCell.getValue();
+        if (postedCell.getFormula() || (postedValue !== '' && typeof postedValue !== 'number')) {
+          return `the earlier posting in ${record.targetCell} cannot be reversed, the cell no longer holds a number`;
         }
+      }
+    }
+    return null;
+  }
 
-        return {
-          isMatch: true,
-          reference: matchResult.reference,
-          confidence: matchResult.confidence,
-          explanation: matchResult.explanation,
-          sheet: sheetName
-        };
+  /**
+   * Reads the identity of an invoice (supplier, Numar, Data emitere), its amount and the dates that decide
+   * its months from its source row
+   * @private
+   * @param {number} row - Source sheet row number (1-based)
+   */
+  function readInvoice(row) {
+    const values = sourceSheet.getRange(row, 1, 1, sourceSheet.getLastColumn()).getValues()[0];
+    const invoice = {
+      row,
+      supplier: values[sourceColumns.supplier],
+      invoiceNumber: values[sourceColumns.invoiceNumber],
+      issueDate: values[sourceColumns.issueDate],
+      amount: values[sourceColumns.amountEur]
+    };
+    ['servicePeriodStart', 'servicePeriodEnd', 'uploadDate'].forEach(field => {
+      if (sourceColumns[field] !== undefined && sourceColumns[field] !== -1) {
+        invoice[field] = values[sourceColumns[field]];
       }
+    });
+    return invoice;
+  }
 
-      return { isMatch: false };
+  /**
+   * Completes an entry with the invoice identity when its caller only knows the row
+   * @private
+   */
+  function invoiceOf(entry) {
+    return entry.invoiceNumber === undefined ? { ...readInvoice(entry.row), ...entry } : entry;
+  }
+
+  /**
+   * Gets the active ledger postings of an entry's invoice in this P&L, one per month (see PostingLedger.js)
+   * @private
+   * @returns {LedgerRecord[]}
+   */
+  function findPosted(entry) {
+    return ledger.findActivePostings(targetUrl, invoiceIdentityKey(invoiceOf(entry)));
+  }
+
+  /**
+   * Whether the ledger postings already hold exactly these amounts in these cells
+   * @private
+   */
+  function isSamePosting(posted, targets) {
+    return posted.length === targets.length && targets.every(target => posted.some(record =>
+      record.targetCell === target.cellKey && Math.abs(record.amount - target.amount) < 0.005));
+  }
+
+  /**
+   * Sums what a posting does to its cells; a spread over several months also lists its portions
+   * @private
+   * @param {Array<{targetCell: string, amount: number, oldValue: number, newValue: number}>} portions - Written cells
+   * @param {LedgerRecord[]} reversed - Postings taken back first
+   * @param {Object} plan - Result of planPortions
+   * @returns {{targetCell: string, oldValue: number, newValue: number, portions?: Object[],
+   *   reversal?: {targetCell: string, amount: number}, unpostedAmount?: number, note?: string}}
+   *   `unpostedAmount`: total of the months left for the P&L of another year
+   */
+  function describePosting(portions, reversed, plan) {
+    const total = values => values.length === 1 ? values[0] : Math.round(values.reduce((sum, value) => sum + value, 0) * 100) / 100;
+    const posting = {
+      targetCell: portions.map(portion => portion.targetCell).join(', '),
+      oldValue: total(portions.map(portion => portion.oldValue)),
+      newValue: total(portions.map(portion => portion.newValue))
+    };
+
+    const notes = [];
+    if (portions.length > 1) {
+      posting.portions = portions;
+      notes.push(`Spread ${plan.method} over ${portions.length} months: ` +
+        portions.map(portion => `${portion.targetCell} ${portion.amount}`).join(', '));
+    }
+    if (plan.otherYears.length > 0) {
+      posting.unpostedAmount = total(plan.otherYears.map(portion => portion.amount));
+      notes.push('Not posted, belongs to another year: ' +
+        plan.otherYears.map(portion => `${monthNames[portion.month - 1]} ${portion.year} ${portion.amount}`).join(', '));
+    }
+    if (reversed.length > 0) {
+      posting.reversal = {
+        targetCell: reversed.map(record => record.targetCell).join(', '),
+        amount: total(reversed.map(record => record.amount))
+      };
+    }
+    if (notes.length > 0) {
+      posting.note = notes.join('. ');
+    }
+    return posting;
+  }
+
+  /**
+   * Marks a match whose posting failed the guardrails, so it is reported instead of written
+   * @private
+   */
+  function toRejectedWrite(matchResult, reason) {
+    console.warn(`Write rejected for ${matchResult.reference}: ${reason}`);
+    return { ...matchResult, isMatch: false, needsReview: false, writeRejected: true, explanation: `Write rejected: ${reason}` };
+  }
+
+  /**
+   * Link to a cell of the P&L (e.g. "Expenses!N128"), or '' when the reference is not a P&L cell
+   * @private
+   */
+  function targetLink(reference) {
+    const referenceMatch = /^(Expenses|Staffing)!([A-Z]+\d+)$/.exec((reference || '').toString().trim());
+    if (!referenceMatch) return '';
+    const sheet = referenceMatch[1] === 'Expenses' ? expensesSheet : staffingSheet;
+    return `${targetUrl}#gid=${sheet.getSheetId()}&range=${referenceMatch[2]}`;
+  }
+
+  /**
+   * Describes what a run did with a row, for the Reconciliation_Report
+   * @private
+   * @param {Object} entry - The invoice entry
+   * @param {Object} matchResult - Final match result of the row
+   * @param {Object} [posting] - Result of applyPosting, or of planPosting in a dry run
+   * @param {boolean} dryRun - Whether nothing was written
+   * @returns {ReconciliationOutcome}
+   */
+  function toOutcome(entry, matchResult, posting, dryRun) {
+    let outcome = 'No match';
+    if (matchResult.isMatch) {
+      outcome = posting.alreadyPosted ? 'Already posted' : (dryRun ? 'Would post' : 'Posted');
+    } else if (matchResult.needsReview) {
+      outcome = 'Needs review';
+    } else if (matchResult.writeRejected) {
+      outcome = 'Write rejected';
+    } else if (matchResult.isError) {
+      outcome = 'Error';
+    }
+
+    const reference = matchResult.reference ? matchResult.reference.toString().trim() : '';
+    const posted = matchResult.isMatch && !posting.alreadyPosted;
+    return {
+      row: entry.row,
+      supplier: entry.supplier,
+      amount: entry.amount,
+      outcome,
+      reference,
+      plName: reference ? getCandidateNames()[reference] || '' : '',
+      targetCell: matchResult.isMatch ? posting.targetCell : '',
+      // A reversed earlier posting is not counted: only what this posting adds
+      postedAmount: posted ? Math.round((posting.newValue - posting.oldValue) * 100) / 100 : '',
+      unpostedAmount: posted && posting.unpostedAmount ? posting.unpostedAmount : '',
+      explanation: [matchResult.explanation, posting && posting.note].filter(Boolean).join('. '),
+      sourceLink: `${sourceSpreadsheet.getUrl()}#gid=${sourceSheet.getSheetId()}&range=A${entry.row}`,
+      targetLink: targetLink(matchResult.isMatch ? posting.targetCell.split(', ')[0] : reference)
+    };
+  }
+
+  /**
+   * Computes the write a match would make, without making it
+   * @private
+   * @param {{supplier: string, amount: number}} entry - The invoice entry
+   * @param {{reference: string}} matchResult - Result of findMatch
+   * @param {Object<string, number>} [pendingValues] - Running values per cell for earlier proposals in the same pass
+   * @returns {{targetCell: string, oldValue: number, newValue: number, alreadyPosted?: boolean,
+   *   reversal?: {targetCell: string, amount: number}, portions?: Object[], note?: string}} See describePosting
+   */
+  function planPosting(entry, matchResult, pendingValues = {}) {
+    const { plan, targets } = resolveTargets(entry, matchResult.reference);
+    const valueOf = (key, range) => key in pendingValues ? pendingValues[key] : (range.getValue() || 0);
+
+    const posted = findPosted(entry);
+    if (posted.length > 0 && isSamePosting(posted, targets)) {
+      const unchanged = targets.map(target => {
+        const value = valueOf(target.cellKey, target.targetCell);
+        return { targetCell: target.cellKey, amount: target.amount, oldValue: value, newValue: value };
+      });
+      return { ...describePosting(unchanged, [], plan), alreadyPosted: true };
+    }
+    posted.forEach(record => {
+      pendingValues[record.targetCell] = valueOf(record.targetCell, targetSpreadsheet.getRange(record.targetCell)) - record.amount;
+    });
+
+    const portions = targets.map(target => {
+      const oldValue = valueOf(target.cellKey, target.targetCell);
+      const newValue = oldValue + target.amount;
+      pendingValues[target.cellKey] = newValue;
+      return { targetCell: target.cellKey, amount: target.amount, oldValue, newValue };
+    });
+    return describePosting(portions, posted, plan);
+  }
+
+  /**
+   * Adds the entry amount to the matched P&L line and marks the Expenses reconciled column.
+   * A multi-month invoice is added in portions, one journaled write and ledger record per month.
+   * The Posting_Ledger is checked first: an invoice already posted with the same amounts to the same
+   * cells is not added again, one posted with other amounts or elsewhere is reversed and posted anew.
+   * Throws without writing when the posting fails verifyPosting.
+   * @private
+   * @param {{row: number, supplier: string, amount: number}} entry - The invoice entry
+   * @param {string} reference - Matched P&L reference (e.g. "Expenses!C128")
+   * @returns {{targetCell: string, oldValue: number, newValue: number, alreadyPosted?: boolean,
+   *   reversal?: {targetCell: string, amount: number}, portions?: Object[], note?: string}} See describePosting
+   */
+  function applyPosting(entry, reference) {
+    const rejection = verifyPosting(entry, reference);
+    if (rejection) {
+      throw new Error(`Write rejected: ${rejection}`);
+    }
+
+    const invoice = invoiceOf(entry);
+    const { plan, targets } = resolveTargets(invoice, reference);
+
+    // e.g. a run that stopped between the amount and the Matched P&L write: nothing to add
+    const posted = findPosted(invoice);
+    if (posted.length > 0 && isSamePosting(posted, targets)) {
+      const unchanged = targets.map(target => {
+        const value = target.targetCell.getValue() || 0;
+        return { targetCell: target.cellKey, amount: target.amount, oldValue: value, newValue: value };
+      });
+      return { ...describePosting(unchanged, [], plan), alreadyPosted: true };
+    }
+
+    posted.forEach(record => {
+      const postedCell = targetSpreadsheet.getRange(record.targetCell);
+      journaledSetValue(postedCell, (postedCell.getValue() || 0) - record.amount, 'amount', entry.row);
+      ledger.recordReversal(invoice, record, runId);
+    });
+
+    // Update the amounts in the target sheet using the exact row number
+    const portions = targets.map(target => {
+      const oldValue = target.targetCell.getValue() || 0;
+      const newValue = oldValue + target.amount;
+      journaledSetValue(target.targetCell, newValue, 'amount', entry.row);
+      ledger.recordPosting(invoice, {
+        spreadsheetUrl: targetUrl,
+        reference: reference.toString().trim(),
+        targetCell: target.cellKey,
+        month: target.monthHeader,
+        amount: target.amount,
+        runId
+      });
+      return { targetCell: target.cellKey, amount: target.amount, oldValue, newValue };
+    });
+
+    // If match is in Expenses sheet, mark "yes" in the reconciled column
+    const { sheetName, rowNumber } = targets[0];
+    if (sheetName === 'Expenses' && expensesColumns.reconciledFlag !== -1) {
+      const markCell = expensesSheet.getRange(rowNumber, expensesColumns.reconciledFlag + 1);
+      journaledSetValue(markCell, 'yes', 'reconciled flag', entry.row);
+    }
+
+    return describePosting(portions, posted, plan);
+  }
+
+  /**
+   * Matches and updates a single entry
+   * @private
+   */
+  function matchAndUpdateEntry(entry) {
+    try {
+      const matchResult = findMatch(entry, { learn: true });
+
+      if (matchResult.isMatch) {
+        const rejection = verifyPosting(entry, matchResult.reference);
+        if (rejection) {
+          return toRejectedWrite(matchResult, rejection);
+        }
+        applyPosting(entry, matchResult.reference);
+      }
+
+      return matchResult;
     } catch (error) {
       throw error;
     }
   }
 
+  /**
+   * Posts an entry to a reference chosen outside the matching pass (e.g. an approved preview row)
+   * and records the reference in the Matched P&L column of the source row.
+   * The supplier and amount are read again from the source row; when they no longer equal what was
+   * approved (an edit in the preview sheet, or in the source since), nothing is posted.
+   * @param {number} row - Source sheet row number (1-based)
+   * @param {{supplier: string, amount: number}} entry - The invoice entry as it was approved
+   * @param {string} reference - P&L reference to post to (e.g. "Expenses!C128")
+   * @returns {{targetCell: string, oldValue: number, newValue: number, note?: string}} See applyPosting
+   * @throws {Error} When the source row changed, or the posting fails the write guardrails
+   */
+  function postApprovedEntry(row, entry, reference) {
+    const invoice = readInvoice(row);
+    const changes = [];
+    if (invoice.supplier.toString().trim() !== (entry.supplier || '').toString().trim()) {
+      changes.push(`supplier is "${invoice.supplier}", approved "${entry.supplier}"`);
+    }
+    if (typeof invoice.amount !== 'number' || Math.abs(invoice.amount - Number(entry.amount)) >= 0.005) {
+      changes.push(`amount is ${invoice.amount}, approved ${entry.amount}`);
+    }
+    if (changes.length > 0) {
+      throw new Error(`Source row ${row} differs from the approved row (${changes.join('; ')}). Run the reconciliation again`);
+    }
+
+    const posting = applyPosting(invoice, reference);
+    updateMatchedStatus(row, { isMatch: true, reference, confidence: 1, method: 'user', postingNote: posting.note });
+
+    const plName = getCandidateNames()[reference.toString().trim()];
+    if (plName !== undefined) {
+      aliases.remember({ supplier: entry.supplier, reference: reference.toString().trim(), plName, source: 'user', confidence: 1 });
+    }
+
+    return posting;
+  }
+
+  /**
+   * Records a rejected review suggestion: Matched P&L becomes "No match" and the supplier/reference pair
+   * is remembered so it is not suggested again
+   * @param {number} row - Source sheet row number (1-based)
+   * @param {{supplier: string}} entry - The invoice entry
+   * @param {string} reference - Rejected P&L reference
+   */
+  function rejectSuggestedEntry(row, entry, reference) {
+    updateMatchedStatus(row, { isMatch: false, method: 'user' });
+    aliases.rememberRejection({
+      supplier: entry.supplier,
+      reference: reference.toString().trim(),
+      plName: getCandidateNames()[reference.toString().trim()] || ''
+    });
+  }
+
   /**
    * Converts a column number to letter reference (e.g., 1 -> A, 27 -> AA)
    * @private
@@ -210,50 +1015,295 @@ Remember: It's better to find a correct match with medium confidence than miss a
   }
 
   /**
-   * Main reconciliation process
+   * Main reconciliation process.
+   * Rows are matched in chunks of one LLM batch and posted row by row; the deadline is checked before each
+   * chunk and each row, so a run can stop cleanly and be resumed from the returned nextRow. The outcome of each row is added to the
+   * Reconciliation_Report (see ReconciliationReport.js), which a run starting at row 2 empties first;
+   * dry runs fill the preview report instead, with "Would post" instead of "Posted".
+   * @param {boolean} [testMode=true] - When true, processes only the first 10 entries
+   * @param {Object} [runOptions] - Optional run settings
+   * @param {boolean} [runOptions.dryRun=false] - Match every entry but write nothing; proposals are returned instead
+   * @param {number} [runOptions.startRow=2] - First source row to process (1-based)
+   * @param {number} [runOptions.deadline] - Timestamp (ms) after which no new chunk or row is started
+   * @param {function({nextRow: number, processedCount: number, matchedCount: number, reviewCount: number, errorCount: number, rejectedWriteCount: number, unpostedAmount: number})} [runOptions.onCheckpoint]
+   *   Called after each written row
+   * @returns {Object} Run summary with `completed` and `nextRow`; `stoppedReason` when a fatal error
+   *   (such as a spent LLM budget) ended the run early; in dry-run mode also `proposals`, one per processed row
    */
-  function processReconciliation(testMode = true) {
+  function processReconciliation(testMode = true, runOptions = {}) {
     try {
-      const sheet = sourceSpreadsheet.getActiveSheet();
-      const data = sheet.getDataRange().getValues();
+      const dryRun = Boolean(runOptions.dryRun);
+      const startRow = Math.max(2, runOptions.startRow || 2);
+      const deadline = runOptions.deadline || Infinity;
+      // One LLM batch per chunk (see MatchingService batchSize)
+      const chunkSize = 20;
+
+      // Pre-check at the start of a run: suspected duplicates are flagged and held back until confirmed
+      const duplicates = createDuplicateInvoiceService(sourceSheet);
+      let heldRows = new Set();
+      let duplicateCount = 0;
+      if (dryRun) {
+        heldRows = duplicates.getHeldRows();
+        duplicateCount = heldRows.size;
+      } else if (startRow === 2) {
+        duplicateCount = duplicates.flagDuplicates(runId).suspectedCount;
+      }
+
+      // The report holds the rows of the latest run; continued executions add to it.
+      // Previews have a report of their own, so they keep the report of the last real run.
+      const runReport = dryRun ? createReconciliationReportService({ preview: true }) : report;
+      if (startRow === 2) {
+        runReport.reset();
+      }
+
+      const data = sourceSheet.getDataRange().getValues();
       
       let processedCount = 0;
       let matchedCount = 0;
+      let reviewCount = 0;
+      let errorCount = 0;
+      let rejectedWriteCount = 0;
+      let repostedCount = 0;
+      let alreadyPostedCount = 0;
+      let missingMonthCount = 0;
+      let spreadCount = 0;
+      // Months of spread invoices that fall in another year than their P&L: reported, not posted
+      let unpostedAmount = 0;
+      let unpostedCount = 0;
+      const proposals = [];
+      const pendingValues = {};
       
       // Calculate how many rows to process
       const maxRows = testMode ? Math.min(11, data.length) : data.length;
 
-      // Process each row starting from row 2
-      for (let i = 1; i < maxRows; i++) {
+      // Optional CUI/CIF column
+      const cuiIndex = findFiscalCodeColumnIndex(data[0]);
+      const cuiNotes = cuiIndex !== -1 ? sourceSheet.getRange(1, cuiIndex + 1, data.length, 1).getNotes() : [];
+
+      // Collect the rows to process, starting from startRow
+      const entries = [];
+      for (let i = startRow - 1; i < maxRows; i++) {
         const entry = {
-          supplier: data[i][1],    // Column B (Furnizor)
-          amount: data[i][14],     // Column O (Suma in EUR)
-          isMatched: data[i][15]   // Column P (Matched P&L)
+          row: i + 1,
+          supplier: data[i][sourceColumns.supplier],
+          invoiceNumber: data[i][sourceColumns.invoiceNumber],
+          issueDate: data[i][sourceColumns.issueDate],
+          amount: data[i][sourceColumns.amountEur],
+          isMatched: data[i][sourceColumns.matchStatus],
+          cui: cuiIndex !== -1 ? data[i][cuiIndex] : ''
         };
+        ['servicePeriodStart', 'servicePeriodEnd', 'uploadDate'].forEach(field => {
+          if (sourceColumns[field] !== undefined && sourceColumns[field] !== -1) {
+            entry[field] = data[i][sourceColumns[field]];
+          }
+        });
 
-        // Skip if there's a valid match reference
+        if (cuiIndex !== -1) {
+          flagInvalidFiscalCode(entry.row, cuiIndex + 1, entry.cui, cuiNotes[i][0]);
+        }
+
+        // Skip if there's a valid match reference, unless its ledger postings differ from the row
+        // (amount edited, Matched P&L changed to another line, another month or service period): that one
+        // is posted again. With a typed month, postings of other months are left to their own runs.
         if (entry.isMatched && 
             entry.isMatched !== '' && 
             entry.isMatched !== 'No match' && 
             entry.isMatched.includes('!')) {
+          const posted = findPosted(entry);
+          const reference = entry.isMatched.trim();
+          if (posted.length === 0 || (fixedMonth && posted.every(record => monthOfHeader(record.month) !== fixedMonth)) ||
+              findMonthProblem(entry, reference.split('!')[0]) || !/^(Expenses|Staffing)![A-Z]+\d+$/.test(reference)) {
+            continue;
+          }
+          if (isSamePosting(posted, resolveTargets(entry, reference).targets)) {
+            continue;
+          }
+          entry.postedReference = reference;
+        }
+
+        // Skip rows waiting in the Review_Queue
+        if (entry.isMatched === 'Needs review') {
           continue;
         }
 
-        processedCount++;
-        const matchResult = matchAndUpdateEntry(entry);
-        if (matchResult.isMatch) {
-          matchedCount++;
+        // Skip suspected and confirmed duplicates (see DuplicateInvoices.js)
+        if (entry.isMatched === DUPLICATE_STATUSES.suspected || entry.isMatched === DUPLICATE_STATUSES.confirmed ||
+            heldRows.has(entry.row)) {
+          continue;
         }
-        updateMatchedStatus(i + 1, matchResult);
+
+        // Rows without a month to post to are reported without matching
+        entry.monthProblem = findMonthProblem(entry);
+
+        entries.push(entry);
       }
 
-      return {
+      let nextRow = maxRows + 1;
+      let completed = true;
+      let stoppedReason = null;
+
+      for (let start = 0; start < entries.length; start += chunkSize) {
+        if (Date.now() >= deadline) {
+          nextRow = entries[start].row;
+          completed = false;
+          break;
+        }
+
+        // Resolve each distinct supplier of the chunk once
+        const chunk = entries.slice(start, start + chunkSize);
+        let matches;
+        try {
+          // Changed postings go to the line in their Matched P&L cell, without matching
+          const found = findMatches(chunk.filter(entry => !entry.postedReference && !entry.monthProblem), { learn: !dryRun });
+          matches = chunk.map(entry => {
+            if (entry.monthProblem) {
+              return { isMatch: false, writeRejected: true, missingMonth: true, explanation: `Write rejected: ${entry.monthProblem}` };
+            }
+            return entry.postedReference ? {
+              isMatch: true,
+              reference: entry.postedReference,
+              confidence: 1,
+              explanation: 'Changed since it was posted: reversed and posted again',
+              sheet: entry.postedReference.split('!')[0],
+              method: 'ledger'
+            } : found.shift();
+          });
+        } catch (error) {
+          if (!error.fatal) throw error;
+
+          // e.g. LLM budget spent: stop before this chunk, nothing of it has been written
+          console.error(`Run ${runId} stopped at row ${chunk[0].row}:`, error);
+          nextRow = chunk[0].row;
+          completed = false;
+          stoppedReason = error.message;
+          break;
+        }
+        for (let index = 0; index < chunk.length; index++) {
+          // Matching (with LLM retries) can take long: nothing more is written once the time is spent
+          if (Date.now() >= deadline) {
+            nextRow = chunk[index].row;
+            completed = false;
+            break;
+          }
+
+          const entry = chunk[index];
+          processedCount++;
+          let matchResult = matches[index];
+          if (matchResult.isError) errorCount++;
+
+          // Guardrails: a posting that fails verification, or has no month column, is reported, never written
+          if (matchResult.isMatch || matchResult.needsReview) {
+            const monthProblem = findMonthProblem(entry, matchResult.reference.split('!')[0]);
+            const rejection = monthProblem || verifyPosting(entry, matchResult.reference);
+            if (rejection) {
+              matchResult = { ...toRejectedWrite(matchResult, rejection), missingMonth: Boolean(monthProblem) };
+            }
+          }
+          if (matchResult.writeRejected) rejectedWriteCount++;
+          if (matchResult.missingMonth) missingMonthCount++;
+
+          if (dryRun) {
+            const proposal = { row: entry.row, supplier: entry.supplier, amount: entry.amount, ...matchResult };
+            let posting = null;
+            if (matchResult.isMatch || matchResult.needsReview) {
+              if (matchResult.isMatch) matchedCount++;
+              else reviewCount++;
+              posting = planPosting(entry, matchResult, pendingValues);
+              Object.assign(proposal, posting);
+              if (proposal.portions) spreadCount++;
+              if (matchResult.isMatch && posting.unpostedAmount && !posting.alreadyPosted) {
+                unpostedAmount += posting.unpostedAmount;
+                unpostedCount++;
+              }
+            }
+            proposals.push(proposal);
+            runReport.append('Preview', [toOutcome(entry, matchResult, posting, true)]);
+            continue;
+          }
+
+          let posting = null;
+          let reviewItem = null;
+          if (matchResult.isMatch) {
+            posting = applyPosting(entry, matchResult.reference);
+            if (posting.reversal) repostedCount++;
+            if (posting.alreadyPosted) alreadyPostedCount++;
+            if (posting.portions) spreadCount++;
+            if (posting.unpostedAmount && !posting.alreadyPosted) {
+              unpostedAmount += posting.unpostedAmount;
+              unpostedCount++;
+            }
+            matchResult = { ...matchResult, postingNote: posting.note };
+            matchedCount++;
+          } else if (matchResult.needsReview) {
+            reviewItem = {
+              row: entry.row,
+              supplier: entry.supplier,
+              amount: entry.amount,
+              reference: matchResult.reference,
+              plName: getCandidateNames()[matchResult.reference],
+              confidence: matchResult.confidence,
+              explanation: matchResult.explanation,
+              month: monthNames[(planPortions(entry).portions[0] || entryMonth(entry)).month - 1]
+            };
+            reviewCount++;
+          }
+          updateMatchedStatus(entry.row, matchResult);
+
+          // Checkpoint every written row, so an execution killed mid-chunk resumes after it
+          reviewQueue.enqueue(reviewItem ? [reviewItem] : [], {
+            runId,
+            plUrl: spreadsheetUrl,
+            month,
+            monthSource,
+            sourceSheetName: sourceSheet.getName()
+          });
+          runReport.append(runId, [toOutcome(entry, matchResult, posting, false)]);
+
+          if (runOptions.onCheckpoint) {
+            runOptions.onCheckpoint({
+              nextRow: entry.row + 1, processedCount, matchedCount, reviewCount, errorCount, rejectedWriteCount,
+              unpostedAmount: Math.round(unpostedAmount * 100) / 100
+            });
+          }
+        }
+        if (!completed) break;
+      }
+
+      const summary = {
         processedCount,
         matchedCount,
-        successRate: (matchedCount / processedCount * 100).toFixed(2) + '%',
+        reviewCount,
+        errorCount,
+        rejectedWriteCount,
+        duplicateCount,
+        repostedCount,
+        alreadyPostedCount,
+        missingMonthCount,
+        spreadCount,
+        unpostedAmount: Math.round(unpostedAmount * 100) / 100,
+        unpostedCount,
+        monthSource,
+        successRate: formatSuccessRate(matchedCount, processedCount),
         mode: testMode ? 'test' : 'full',
-        rowsProcessed: maxRows - 1
+        rowsProcessed: maxRows - 1,
+        completed,
+        nextRow
       };
+
+      if (!dryRun) {
+        summary.runId = runId;
+      }
+
+      if (stoppedReason) {
+        summary.stoppedReason = stoppedReason;
+      }
+
+      if (dryRun) {
+        summary.dryRun = true;
+        summary.proposals = proposals;
+      }
+
+      return summary;
     } catch (error) {
       throw error;
     }
@@ -286,13 +1336,10 @@ Remember: It's better to find a correct match with medium confidence than miss a
         }))
         .filter(match => match.name.trim() !== '');
 
-      const prompt = createMatchingQuery(entry.supplier, 
-        potentialMatches.map(m => `${m.reference}: ${m.name}`));
-
-      const claude = getClaudeService();
-      const matchResult = claude.matchClient(entry.supplier, potentialMatches);
+      const matchingService = getMatchingService({ runId });
+      const matchResult = matchingService.matchClient(entry.supplier, potentialMatches, [entry.row]);
 
-      if (matchResult.matched && matchResult.confidence > 0.5) {
+      if (matchResult.matched && matchResult.confidence >= confidenceBands.autoPostThreshold) {
         return {
           isMatch: true,
           reference: matchResult.reference,
@@ -310,10 +1357,15 @@ Remember: It's better to find a correct match with medium confidence than miss a
 
   // Return public methods
   return {
+    sourceSheetName: sourceSheet.getName(),
+    runId,
     processReconciliation,
     matchAndUpdateEntry,
+    postApprovedEntry,
+    rejectSuggestedEntry,
     checkSheetForMatch,
     processTestReconciliation: () => processReconciliation(true),
-    processFullReconciliation: () => processReconciliation(false)
+    processFullReconciliation: () => processReconciliation(false),
+    processPreviewReconciliation: () => processReconciliation(false, { dryRun: true })
   };
 } 
\ No newline at end of file
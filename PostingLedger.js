@@ -0,0 +1,218 @@
+/**
+ * Posting ledger for Procesare_Facturi
+ * Keeps the active postings of each invoice and P&L spreadsheet (one, or one per month of a spread
+ * invoice), so a rerun never adds the same invoice twice; a changed amount or target is posted as
+ * a reversal plus a new posting
+ */
+
+/**
+ * Ledger row as stored in the Posting_Ledger sheet
+ * @typedef {Object} LedgerRecord
+ * @property {number} ledgerRow - Row of the record in the ledger sheet
+ * @property {string} invoiceKey - Invoice identity (see invoiceIdentityKey)
+ * @property {string} currentKey - Identity rebuilt from the recorded supplier, number, date and row
+ * @property {string} spreadsheetUrl - P&L spreadsheet posted to
+ * @property {string} reference - Matched P&L line (e.g. "Expenses!C128")
+ * @property {string} targetCell - Month cell that received the amount (e.g. "Expenses!N128")
+ * @property {string} month - Month column (e.g. "October real")
+ * @property {number} amount - Amount added to the target cell (negative for a reversal)
+ * @property {string} entry - 'Posting' or 'Reversal'
+ * @property {string} status - Postings: 'Active', 'Reversed' or 'Undone'; reversals: 'Done' or 'Undone'
+ * @property {string} runId - Run that wrote the record
+ * @property {string} reversedBy - Run that reversed an active posting
+ */
+
+/**
+ * Identity of an invoice in the ledger: supplier, invoice number and issue date.
+ * Documents without a number (e.g. a bon) are told apart by their source row as well. The amount is never
+ * part of the identity: a corrected amount must find the earlier posting to reverse it.
+ * @param {{row: number, supplier: string, invoiceNumber: *, issueDate: *}} invoice - Invoice row values
+ * @returns {string} Key such as "acme|FV12|2025-01-05", or "acme||2025-01-05|row 14" without a number
+ */
+function invoiceIdentityKey(invoice) {
+  const date = parseInvoiceDate(invoice.issueDate).value;
+  const parts = [
+    normalizeCompanyName(invoice.supplier),
+    invoiceNumberKey(invoice.invoiceNumber),
+    date ? Utilities.formatDate(date, Session.getScriptTimeZone(), 'yyyy-MM-dd') : ''
+  ];
+  if (parts[1] === '') {
+    parts.push(`row ${invoice.row}`);
+  }
+  return parts.join('|');
+}
+
+/**
+ * Creates a posting ledger service instance
+ * @return {Object} Ledger methods
+ */
+function createPostingLedgerService() {
+  const spreadsheet = SpreadsheetApp.getActiveSpreadsheet();
+  const sheetName = 'Posting_Ledger';
+  const headers = [
+    'Invoice Key', 'Supplier', 'Numar', 'Data emitere', 'P&L Spreadsheet', 'Reference', 'Target Cell', 'Month',
+    'Amount', 'Entry', 'Status', 'Run ID', 'Posted At', 'Source Row', 'Reversed By'
+  ];
+  const columns = { status: 11, reversedBy: 15 };
+
+  // Records read once per service instance, kept in step with the writes below
+  let records = null;
+
+  /**
+   * Gets the ledger sheet, creating it if needed
+   * @private
+   */
+  function getLedgerSheet() {
+    let sheet = spreadsheet.getSheetByName(sheetName);
+    if (!sheet) {
+      sheet = spreadsheet.insertSheet(sheetName);
+      sheet.getRange(1, 1, 1, headers.length).setValues([headers]).setFontWeight('bold');
+      sheet.setFrozenRows(1);
+      // Invoice numbers stay text (leading zeros, "0001234")
+      sheet.getRange('C:C').setNumberFormat('@');
+    }
+    return sheet;
+  }
+
+  /**
+   * Reads all ledger records
+   * @private
+   * @returns {LedgerRecord[]}
+   */
+  function readRecords() {
+    if (records) return records;
+
+    const sheet = getLedgerSheet();
+    const lastRow = sheet.getLastRow();
+    records = lastRow < 2 ? [] : sheet.getRange(2, 1, lastRow - 1, headers.length).getValues().map((row, index) => ({
+      ledgerRow: index + 2,
+      invoiceKey: row[0].toString(),
+      // Postings recorded under an earlier normalization of the supplier name are found by this key
+      currentKey: row[1] === '' ? ''
+        : invoiceIdentityKey({ row: row[13], supplier: row[1], invoiceNumber: row[2], issueDate: row[3] }),
+      spreadsheetUrl: row[4],
+      reference: row[5],
+      targetCell: row[6],
+      month: row[7],
+      amount: row[8],
+      entry: row[9],
+      status: row[10],
+      runId: row[11].toString(),
+      reversedBy: row[14].toString()
+    }));
+    return records;
+  }
+
+  /**
+   * Updates the status (and Reversed By) of a record
+   * @private
+   */
+  function setStatus(record, status, reversedBy) {
+    const sheet = getLedgerSheet();
+    sheet.getRange(record.ledgerRow, columns.status).setValue(status);
+    sheet.getRange(record.ledgerRow, columns.reversedBy).setValue(reversedBy);
+    record.status = status;
+    record.reversedBy = reversedBy;
+  }
+
+  /**
+   * Appends a record
+   * @private
+   */
+  function append(record, invoice) {
+    const sheet = getLedgerSheet();
+    sheet.appendRow([
+      record.invoiceKey,
+      invoice.supplier,
+      invoice.invoiceNumber,
+      invoice.issueDate,
+      record.spreadsheetUrl,
+      record.reference,
+      record.targetCell,
+      record.month,
+      record.amount,
+      record.entry,
+      record.status,
+      record.runId,
+      new Date(),
+      invoice.row,
+      ''
+    ]);
+    readRecords().push({ ...record, currentKey: record.invoiceKey, ledgerRow: sheet.getLastRow(), reversedBy: '' });
+  }
+
+  /**
+   * Finds the active postings of an invoice in a P&L spreadsheet, one per month it was posted to
+   * @param {string} spreadsheetUrl - P&L spreadsheet
+   * @param {string} invoiceKey - Invoice identity (see invoiceIdentityKey)
+   * @returns {LedgerRecord[]} Empty when the invoice is not posted
+   */
+  function findActivePostings(spreadsheetUrl, invoiceKey) {
+    return readRecords().filter(record => record.entry === 'Posting' && record.status === 'Active' &&
+      record.spreadsheetUrl === spreadsheetUrl &&
+      (record.invoiceKey === invoiceKey || record.currentKey === invoiceKey));
+  }
+
+  /**
+   * Records a posting (or one month portion of it) as active
+   * @param {{row: number, supplier: string, invoiceNumber: *, issueDate: *}} invoice - Invoice row values
+   * @param {{spreadsheetUrl: string, reference: string, targetCell: string, month: string, amount: number, runId: string}} posting
+   */
+  function recordPosting(invoice, posting) {
+    append({ ...posting, invoiceKey: invoiceIdentityKey(invoice), entry: 'Posting', status: 'Active' }, invoice);
+  }
+
+  /**
+   * Records the reversal of an active posting; the caller has already subtracted its amount
+   * @param {{row: number, supplier: string, invoiceNumber: *, issueDate: *}} invoice - Invoice row values
+   * @param {LedgerRecord} posting - Active posting being reversed
+   * @param {string} runId - Run making the reversal
+   */
+  function recordReversal(invoice, posting, runId) {
+    setStatus(posting, 'Reversed', runId);
+    append({
+      invoiceKey: posting.invoiceKey,
+      spreadsheetUrl: posting.spreadsheetUrl,
+      reference: posting.reference,
+      targetCell: posting.targetCell,
+      month: posting.month,
+      amount: -posting.amount,
+      entry: 'Reversal',
+      status: 'Done',
+      runId
+    }, invoice);
+  }
+
+  /**
+   * Marks the records of an undone run: its postings no longer count and the postings it
+   * reversed are active again. Records on cells the undo left alone are kept.
+   * @param {string} runId - Undone run
+   * @param {Set<string>} [keptCells] - "url|Sheet!A1" keys of cells the undo skipped
+   * @returns {number} Records marked undone
+   */
+  function undoRun(runId, keptCells = new Set()) {
+    let undoneCount = 0;
+    readRecords()
+      .filter(record => record.runId === runId && record.status !== 'Undone')
+      .filter(record => !keptCells.has(`${record.spreadsheetUrl}|${record.targetCell}`))
+      .forEach(record => {
+        if (record.entry === 'Reversal') {
+          const reversed = readRecords().find(other => other.entry === 'Posting' && other.status === 'Reversed' &&
+            other.reversedBy === runId && other.invoiceKey === record.invoiceKey &&
+            other.spreadsheetUrl === record.spreadsheetUrl && other.targetCell === record.targetCell);
+          if (reversed) setStatus(reversed, 'Active', '');
+        }
+        setStatus(record, 'Undone', record.reversedBy);
+        undoneCount++;
+      });
+    return undoneCount;
+  }
+
+  return {
+    sheetName,
+    findActivePostings,
+    recordPosting,
+    recordReversal,
+    undoRun
+  };
+}
@@ -0,0 +1,186 @@
+/**
+ * Reconciliation preview (dry run) for Procesare_Facturi
+ * Writes proposed P&L postings to a review sheet and applies only the approved rows
+ */
+
+/**
+ * Preview row as written to the Reconciliation_Preview sheet
+ * @typedef {Object} PreviewProposal
+ * @property {number} row - Source sheet row number (1-based)
+ * @property {string} supplier - Furnizor from the source row
+ * @property {number} amount - Suma in EUR from the source row
+ * @property {boolean} isMatch - Whether the match would be posted automatically
+ * @property {boolean} [needsReview] - Whether the match falls in the review band
+ * @property {boolean} [isError] - Whether matching failed (API error or invalid reply)
+ * @property {boolean} [writeRejected] - Whether the proposed posting failed the write guardrails
+ * @property {string} [reference] - Proposed P&L reference (e.g. "Expenses!C14")
+ * @property {string} [targetCell] - Month cell that would receive the amount (e.g. "Expenses!N14"); the cells
+ *   of all months, comma separated, for a spread invoice
+ * @property {number} [oldValue] - Value of the target cell before posting (sum over the cells of a spread)
+ * @property {number} [newValue] - Value of the target cell after posting (sum over the cells of a spread)
+ * @property {Array<{targetCell: string, amount: number, oldValue: number, newValue: number}>} [portions] - Month
+ *   portions of a spread invoice
+ * @property {string} [note] - How a spread invoice is split, and amounts left for the P&L of another year
+ * @property {boolean} [alreadyPosted] - Whether the Posting_Ledger already holds this posting (nothing is added)
+ * @property {{targetCell: string, amount: number}} [reversal] - Earlier posting of the invoice taken back first
+ * @property {number} [confidence] - Match confidence (0.0-1.0)
+ * @property {string} [method] - What produced the match: 'cui', 'alias', 'exact-name', 'fuzzy-name', 'llm'
+ *   or 'ledger' (a changed posting)
+ * @property {string} [explanation] - Matching explanation
+ */
+
+/**
+ * Creates a reconciliation preview service instance
+ * @return {Object} Preview service methods
+ */
+function createReconciliationPreviewService() {
+  const spreadsheet = SpreadsheetApp.getActiveSpreadsheet();
+  const properties = PropertiesService.getDocumentProperties();
+  const sheetName = 'Reconciliation_Preview';
+  const contextProperty = 'RECONCILIATION_PREVIEW_CONTEXT';
+  const headers = [
+    'Approve', 'Source Row', 'Supplier', 'Amount (EUR)', 'Proposed Reference',
+    'Target Cell', 'Old Value', 'New Value', 'Confidence', 'Method', 'Explanation', 'Status'
+  ];
+  const columns = {
+    approve: 1,
+    sourceRow: 2,
+    supplier: 3,
+    amount: 4,
+    reference: 5,
+    status: 12
+  };
+
+  /**
+   * Gets the preview sheet, creating it if needed
+   * @private
+   */
+  function getPreviewSheet() {
+    let sheet = spreadsheet.getSheetByName(sheetName);
+    if (!sheet) {
+      sheet = spreadsheet.insertSheet(sheetName);
+    }
+    return sheet;
+  }
+
+  /**
+   * Replaces the preview sheet contents with the proposals of a dry run
+   * @param {PreviewProposal[]} proposals - Proposals returned by a dry-run reconciliation
+   * @param {{plUrl: string, month: string, monthSource: string, sourceSheetName: string}} context - Run context
+   *   needed to apply later
+   * @returns {Sheet} The preview sheet
+   */
+  function writePreview(proposals, context) {
+    const sheet = getPreviewSheet();
+    sheet.clear();
+    sheet.getRange(1, 1, 1, headers.length).setValues([headers]).setFontWeight('bold');
+    sheet.setFrozenRows(1);
+
+    if (proposals.length > 0) {
+      const rows = proposals.map(p => [
+        false,
+        p.row,
+        p.supplier,
+        p.amount,
+        p.targetCell ? p.reference : '',
+        p.targetCell || '',
+        p.targetCell ? p.oldValue : '',
+        p.targetCell ? p.newValue : '',
+        p.targetCell ? p.confidence : '',
+        p.method || '',
+        (p.needsReview ? 'Needs review: ' : '') +
+          (p.alreadyPosted ? 'Already posted. ' : '') +
+          (p.reversal ? `Reverses ${p.reversal.amount} in ${p.reversal.targetCell}. ` : '') +
+          (p.note ? `${p.note}. ` : '') +
+          (p.explanation || (p.isMatch ? '' : 'No match')),
+        ''
+      ]);
+      sheet.getRange(2, 1, rows.length, headers.length).setValues(rows);
+      sheet.getRange(2, columns.approve, rows.length, 1).insertCheckboxes();
+
+      proposals.forEach((p, index) => {
+        if (p.needsReview) {
+          sheet.getRange(index + 2, 1, 1, headers.length).setBackground('#f9cb9c'); // Orange
+        } else if (p.writeRejected) {
+          sheet.getRange(index + 2, 1, 1, headers.length).setBackground('#d9d2e9'); // Purple
+        } else if (p.isError) {
+          sheet.getRange(index + 2, 1, 1, headers.length).setBackground('#f4c7c3'); // Red
+        } else if (!p.isMatch) {
+          sheet.getRange(index + 2, 1, 1, headers.length).setBackground('#cccccc'); // Gray
+        }
+      });
+    }
+
+    properties.setProperty(contextProperty, JSON.stringify({
+      plUrl: context.plUrl,
+      month: context.month,
+      monthSource: context.monthSource || 'fixed',
+      sourceSheetName: context.sourceSheetName,
+      createdAt: new Date().toISOString()
+    }));
+
+    return sheet;
+  }
+
+  /**
+   * Posts every ticked preview row that has not been applied yet
+   * @returns {{appliedCount: number, failedCount: number, skippedCount: number}}
+   */
+  function applyApprovedRows() {
+    const storedContext = properties.getProperty(contextProperty);
+    const sheet = spreadsheet.getSheetByName(sheetName);
+    if (!storedContext || !sheet) {
+      throw new Error('No reconciliation preview found. Run the P&L Reconciliation in preview mode first.');
+    }
+
+    const context = JSON.parse(storedContext);
+    const service = createPLReconciliationService(context.plUrl, context.month, {
+      sourceSheetName: context.sourceSheetName,
+      monthSource: context.monthSource || 'fixed'
+    });
+
+    const lastRow = sheet.getLastRow();
+    if (lastRow < 2) {
+      return { appliedCount: 0, failedCount: 0, skippedCount: 0 };
+    }
+
+    const data = sheet.getRange(2, 1, lastRow - 1, headers.length).getValues();
+    let appliedCount = 0;
+    let failedCount = 0;
+    let skippedCount = 0;
+
+    data.forEach((row, index) => {
+      const approved = row[columns.approve - 1] === true;
+      const status = row[columns.status - 1].toString();
+      if (!approved || status.startsWith('Applied')) {
+        skippedCount++;
+        return;
+      }
+
+      const statusCell = sheet.getRange(index + 2, columns.status);
+      try {
+        const posting = service.postApprovedEntry(
+          row[columns.sourceRow - 1],
+          { supplier: row[columns.supplier - 1], amount: row[columns.amount - 1] },
+          row[columns.reference - 1]
+        );
+        statusCell.setValue(`Applied ${posting.targetCell}: ${posting.oldValue} -> ${posting.newValue}`);
+        sheet.getRange(index + 2, 1, 1, headers.length).setBackground('#b7e1cd'); // Green
+        appliedCount++;
+      } catch (error) {
+        console.error(`Failed to apply preview row ${index + 2}:`, error);
+        statusCell.setValue(`Failed: ${error.message}`);
+        statusCell.setBackground('#f4c7c3'); // Red
+        failedCount++;
+      }
+    });
+
+    return { appliedCount, failedCount, skippedCount };
+  }
+
+  return {
+    sheetName,
+    writePreview,
+    applyApprovedRows
+  };
+}
@@ -0,0 +1,205 @@
+/**
+ * Reconciliation report for Procesare_Facturi
+ * Keeps the outcome of every row of the latest run in the Reconciliation_Report sheet, and of the
+ * latest preview in Reconciliation_Preview_Report, and summarizes them for the results sidebar
+ */
+
+/**
+ * Report line as written to the Reconciliation_Report sheet
+ * @typedef {Object} ReconciliationOutcome
+ * @property {number} row - Source sheet row number (1-based)
+ * @property {string} supplier - Furnizor from the source row
+ * @property {number} amount - Suma in EUR from the source row
+ * @property {string} outcome - 'Posted', 'Already posted', 'Would post' (preview), 'Needs review',
+ *   'Write rejected', 'Error' or 'No match'
+ * @property {string} [reference] - Matched or suggested P&L reference (e.g. "Expenses!C14")
+ * @property {string} [plName] - Name of the P&L line at the reference
+ * @property {string} [targetCell] - Month cell(s) that received the amount
+ * @property {number|string} [postedAmount] - Amount added to the P&L by this run ('' when nothing was added)
+ * @property {number|string} [unpostedAmount] - Months of a spread invoice left for the P&L of another year
+ * @property {string} [explanation] - Matching explanation, rejection reason or spreading note
+ * @property {string} sourceLink - URL of the source row
+ * @property {string} [targetLink] - URL of the target cell, or of the P&L line when nothing was posted
+ */
+
+/**
+ * Share of processed rows that were matched, as shown in run summaries
+ * @param {number} matchedCount - Rows matched
+ * @param {number} processedCount - Rows processed
+ * @returns {string} e.g. "85.00%", or "n/a" when nothing was processed
+ */
+function formatSuccessRate(matchedCount, processedCount) {
+  return processedCount > 0 ? (matchedCount / processedCount * 100).toFixed(2) + '%' : 'n/a';
+}
+
+/**
+ * Creates a reconciliation report service instance
+ * @param {Object} [options] - Optional settings
+ * @param {boolean} [options.preview=false] - Use the preview report, so a preview never empties the report of a run
+ * @return {Object} Report methods
+ */
+function createReconciliationReportService(options = {}) {
+  const spreadsheet = SpreadsheetApp.getActiveSpreadsheet();
+  const sheetName = options.preview ? 'Reconciliation_Preview_Report' : 'Reconciliation_Report';
+  const headers = [
+    'Run ID', 'Source Row', 'Supplier', 'Amount (EUR)', 'Outcome', 'Sheet', 'Reference', 'P&L Line',
+    'Target Cell', 'Posted (EUR)', 'Not Posted (EUR)', 'Explanation', 'Source Link', 'Target Link'
+  ];
+
+  // Outcomes that add the amount to the P&L, and outcomes that need someone to look at the row
+  const postedOutcomes = ['Posted', 'Would post'];
+  const failedOutcomes = ['Error', 'Write rejected'];
+
+  /**
+   * Gets the report sheet, creating it if needed
+   * @private
+   */
+  function getReportSheet() {
+    let sheet = spreadsheet.getSheetByName(sheetName);
+    if (!sheet) {
+      sheet = spreadsheet.insertSheet(sheetName);
+      sheet.getRange(1, 1, 1, headers.length).setValues([headers]).setFontWeight('bold');
+      sheet.setFrozenRows(1);
+    }
+    return sheet;
+  }
+
+  /**
+   * Empties the report for a new run
+   */
+  function reset() {
+    const sheet = getReportSheet();
+    sheet.clear();
+    sheet.getRange(1, 1, 1, headers.length).setValues([headers]).setFontWeight('bold');
+    sheet.setFrozenRows(1);
+  }
+
+  /**
+   * Appends the outcomes of a processed chunk
+   * @param {string} runId - Run the rows belong to ('Preview' for a dry run)
+   * @param {ReconciliationOutcome[]} outcomes - One per processed row
+   */
+  function append(runId, outcomes) {
+    if (outcomes.length === 0) return;
+
+    const sheet = getReportSheet();
+    const rows = outcomes.map(outcome => [
+      runId,
+      outcome.row,
+      outcome.supplier,
+      outcome.amount,
+      outcome.outcome,
+      outcome.reference ? outcome.reference.split('!')[0] : '',
+      outcome.reference || '',
+      outcome.plName || '',
+      outcome.targetCell || '',
+      outcome.postedAmount === undefined ? '' : outcome.postedAmount,
+      outcome.unpostedAmount === undefined ? '' : outcome.unpostedAmount,
+      outcome.explanation || '',
+      outcome.sourceLink,
+      outcome.targetLink || ''
+    ]);
+    sheet.getRange(sheet.getLastRow() + 1, 1, rows.length, headers.length).setValues(rows);
+  }
+
+  /**
+   * Reads the report rows
+   * @private
+   * @returns {Array<ReconciliationOutcome & {runId: string, sheet: string}>}
+   */
+  function readOutcomes() {
+    const sheet = getReportSheet();
+    if (sheet.getLastRow() < 2) return [];
+
+    return sheet.getRange(2, 1, sheet.getLastRow() - 1, headers.length).getValues().map(row => ({
+      runId: row[0].toString(),
+      row: row[1],
+      supplier: row[2].toString(),
+      amount: row[3],
+      outcome: row[4],
+      sheet: row[5],
+      reference: row[6],
+      plName: row[7],
+      targetCell: row[8],
+      postedAmount: row[9],
+      unpostedAmount: row[10],
+      explanation: row[11],
+      sourceLink: row[12],
+      targetLink: row[13]
+    }));
+  }
+
+  /**
+   * Summarizes the report for the results sidebar
+   * @returns {{runId: string, processedCount: number, successRate: string, outcomeCounts: Object<string, number>,
+   *   perSheet: Array<{sheet: string, count: number, amount: number}>,
+   *   perLine: Array<{reference: string, plName: string, sheet: string, count: number, amount: number, link: string}>,
+   *   unmatchedSuppliers: Array<{supplier: string, count: number, amount: number, rows: Array<{row: number, link: string}>}>,
+   *   failedRows: ReconciliationOutcome[], unpostedRows: ReconciliationOutcome[], unpostedAmount: number,
+   *   rows: ReconciliationOutcome[]}}
+   */
+  function summarize() {
+    const outcomes = readOutcomes();
+    const round = value => Math.round(value * 100) / 100;
+    const outcomeCounts = {};
+    const perSheet = {};
+    const perLine = {};
+    const unmatched = {};
+
+    outcomes.forEach(outcome => {
+      outcomeCounts[outcome.outcome] = (outcomeCounts[outcome.outcome] || 0) + 1;
+
+      if (postedOutcomes.includes(outcome.outcome) && typeof outcome.postedAmount === 'number') {
+        const sheetTotal = perSheet[outcome.sheet] = perSheet[outcome.sheet] || { sheet: outcome.sheet, count: 0, amount: 0 };
+        sheetTotal.count++;
+        sheetTotal.amount = round(sheetTotal.amount + outcome.postedAmount);
+
+        const line = perLine[outcome.reference] = perLine[outcome.reference] || {
+          reference: outcome.reference,
+          plName: outcome.plName,
+          sheet: outcome.sheet,
+          count: 0,
+          amount: 0,
+          link: outcome.targetLink
+        };
+        line.count++;
+        line.amount = round(line.amount + outcome.postedAmount);
+      }
+
+      if (outcome.outcome === 'No match') {
+        // Spellings of the same supplier are grouped, e.g. "ACME S.R.L." and "Acme SRL"
+        const key = normalizeSupplierKey(outcome.supplier) || outcome.supplier;
+        const supplier = unmatched[key] = unmatched[key] || { supplier: outcome.supplier, count: 0, amount: 0, rows: [] };
+        supplier.count++;
+        supplier.amount = round(supplier.amount + (Number(outcome.amount) || 0));
+        supplier.rows.push({ row: outcome.row, link: outcome.sourceLink });
+      }
+    });
+
+    const unpostedRows = outcomes.filter(outcome => typeof outcome.unpostedAmount === 'number');
+    const matchedCount = outcomes.filter(outcome =>
+      postedOutcomes.includes(outcome.outcome) || outcome.outcome === 'Already posted').length;
+
+    return {
+      runId: outcomes.length > 0 ? outcomes[0].runId : '',
+      processedCount: outcomes.length,
+      successRate: formatSuccessRate(matchedCount, outcomes.length),
+      outcomeCounts,
+      perSheet: Object.values(perSheet),
+      perLine: Object.values(perLine).sort((a, b) => b.amount - a.amount),
+      unmatchedSuppliers: Object.values(unmatched).sort((a, b) => b.amount - a.amount),
+      failedRows: outcomes.filter(outcome => failedOutcomes.includes(outcome.outcome)),
+      unpostedRows,
+      unpostedAmount: round(unpostedRows.reduce((sum, outcome) => sum + outcome.unpostedAmount, 0)),
+      rows: outcomes
+    };
+  }
+
+  return {
+    sheetName,
+    getReportSheet,
+    reset,
+    append,
+    summarize
+  };
+}
@@ -0,0 +1,258 @@
+/**
+ * Resumable reconciliation runs for Procesare_Facturi
+ * Checkpoints a run's progress, stops before the Apps Script execution time limit
+ * and continues it from a time-driven trigger
+ */
+
+/**
+ * Run state as stored in Document Properties
+ * @typedef {Object} ReconciliationRunState
+ * @property {string} runId - Journal run id shared by every execution of the run
+ * @property {string} plUrl - URL of the P&L spreadsheet
+ * @property {string} month - Month to process (e.g., "October")
+ * @property {string} [monthSource] - 'fixed' (the month above) or the date column giving each invoice's month
+ *   (see createPLReconciliationService)
+ * @property {string} sourceSheetName - Invoice sheet being reconciled
+ * @property {number} nextRow - First source row not processed yet (1-based)
+ * @property {number} processedCount - Rows processed so far
+ * @property {number} matchedCount - Rows matched and posted so far
+ * @property {number} reviewCount - Rows sent to the Review_Queue so far
+ * @property {number} errorCount - Rows marked "Error" (matching failed, retried by the next run) so far
+ * @property {number} rejectedWriteCount - Rows whose posting failed the write guardrails so far
+ * @property {number} unpostedAmount - Amount of spread invoices left for the P&L of another year so far
+ * @property {string} status - 'running', 'scheduled', 'completed', 'stopped' (e.g. LLM budget spent) or 'failed'
+ * @property {number} executions - Number of executions so far
+ * @property {string} startedAt - ISO timestamp of the first execution
+ * @property {string} updatedAt - ISO timestamp of the last checkpoint
+ * @property {string} [error] - Error message of a failed run, or why a run stopped
+ */
+
+/**
+ * Creates a reconciliation runner instance
+ * @return {Object} Runner methods
+ */
+function createReconciliationRunner() {
+  const properties = PropertiesService.getDocumentProperties();
+  const stateProperty = 'RECONCILIATION_RUN_STATE';
+  const triggerHandler = 'continuePLReconciliation';
+
+  // Apps Script stops executions after 6 minutes; leave room for the LLM batch in progress
+  const executionBudgetMs = 4.5 * 60 * 1000;
+  const resumeDelayMs = 60 * 1000;
+
+  // A run not checkpointed for this long was killed, or its trigger was lost
+  const staleRunMs = 8 * 60 * 1000;
+
+  /**
+   * Gets the stored run state
+   * @returns {ReconciliationRunState|null}
+   */
+  function getState() {
+    const stored = properties.getProperty(stateProperty);
+    return stored ? JSON.parse(stored) : null;
+  }
+
+  /**
+   * Whether a run is still being processed or waiting for its trigger
+   * @param {ReconciliationRunState|null} state - Run state
+   * @returns {boolean}
+   */
+  function isInProgress(state) {
+    if (!state || (state.status !== 'running' && state.status !== 'scheduled')) return false;
+    return Date.now() - new Date(state.updatedAt).getTime() < staleRunMs;
+  }
+
+  /**
+   * Stores the run state
+   * @private
+   */
+  function saveState(state) {
+    state.updatedAt = new Date().toISOString();
+    properties.setProperty(stateProperty, JSON.stringify(state));
+  }
+
+  /**
+   * Removes the continuation triggers of this runner
+   * @private
+   */
+  function deleteTriggers() {
+    ScriptApp.getProjectTriggers()
+      .filter(trigger => trigger.getHandlerFunction() === triggerHandler)
+      .forEach(trigger => ScriptApp.deleteTrigger(trigger));
+  }
+
+  /**
+   * Schedules the next execution of the run
+   * @private
+   */
+  function scheduleContinuation() {
+    deleteTriggers();
+    ScriptApp.newTrigger(triggerHandler)
+      .timeBased()
+      .after(resumeDelayMs)
+      .create();
+  }
+
+  /**
+   * Runs one execution of the current run: processes rows until done or until the time budget is spent
+   * @private
+   * @param {ReconciliationRunState} state - Run to continue
+   * @returns {ReconciliationRunState} Updated state
+   */
+  function execute(state) {
+    const lock = LockService.getDocumentLock();
+    if (!lock.tryLock(10000)) {
+      throw new Error(`Run ${state.runId} is already being processed by another execution`);
+    }
+
+    try {
+      const deadline = Date.now() + executionBudgetMs;
+      state.status = 'running';
+      state.executions++;
+      delete state.error;
+      saveState(state);
+
+      const service = createPLReconciliationService(state.plUrl, state.month, {
+        sourceSheetName: state.sourceSheetName,
+        runId: state.runId,
+        monthSource: state.monthSource || 'fixed'
+      });
+
+      const baseProcessed = state.processedCount;
+      const baseMatched = state.matchedCount;
+      const baseReview = state.reviewCount || 0;
+      const baseErrors = state.errorCount || 0;
+      const baseRejectedWrites = state.rejectedWriteCount || 0;
+      const baseUnposted = state.unpostedAmount || 0;
+      const addUnposted = amount => Math.round((baseUnposted + amount) * 100) / 100;
+      const result = service.processReconciliation(false, {
+        startRow: state.nextRow,
+        deadline,
+        onCheckpoint: checkpoint => {
+          state.nextRow = checkpoint.nextRow;
+          state.processedCount = baseProcessed + checkpoint.processedCount;
+          state.matchedCount = baseMatched + checkpoint.matchedCount;
+          state.reviewCount = baseReview + checkpoint.reviewCount;
+          state.errorCount = baseErrors + checkpoint.errorCount;
+          state.rejectedWriteCount = baseRejectedWrites + checkpoint.rejectedWriteCount;
+          state.unpostedAmount = addUnposted(checkpoint.unpostedAmount);
+          saveState(state);
+        }
+      });
+
+      state.nextRow = result.nextRow;
+      state.processedCount = baseProcessed + result.processedCount;
+      state.matchedCount = baseMatched + result.matchedCount;
+      state.reviewCount = baseReview + result.reviewCount;
+      state.errorCount = baseErrors + result.errorCount;
+      state.rejectedWriteCount = baseRejectedWrites + result.rejectedWriteCount;
+      state.unpostedAmount = addUnposted(result.unpostedAmount);
+
+      if (result.completed) {
+        state.status = 'completed';
+        state.completedAt = new Date().toISOString();
+        deleteTriggers();
+      } else if (result.stoppedReason) {
+        // Continuing would fail the same way; the run waits for a manual resume
+        state.status = 'stopped';
+        state.error = result.stoppedReason;
+        deleteTriggers();
+      } else {
+        state.status = 'scheduled';
+        scheduleContinuation();
+      }
+      saveState(state);
+      return state;
+    } catch (error) {
+      console.error(`Run ${state.runId} failed at row ${state.nextRow}:`, error);
+      state.status = 'failed';
+      state.error = error.message;
+      saveState(state);
+      deleteTriggers();
+      throw error;
+    } finally {
+      lock.releaseLock();
+    }
+  }
+
+  /**
+   * Starts a new run. Refuses while another run is still in progress.
+   * @param {string} month - Month to process (e.g., "October")
+   * @param {string} plUrl - URL of the P&L spreadsheet
+   * @param {string} sourceSheetName - Invoice sheet to reconcile
+   * @param {string} [monthSource='fixed'] - See createPLReconciliationService
+   * @returns {ReconciliationRunState} State after the first execution
+   */
+  function start(month, plUrl, sourceSheetName, monthSource = 'fixed') {
+    const current = getState();
+    if (isInProgress(current)) {
+      throw new Error(`Run ${current.runId} is still in progress (next row ${current.nextRow}). ` +
+        'Wait for it to finish or check "Reconciliation status".');
+    }
+
+    const state = {
+      runId: createRunJournalService().createRunId(),
+      plUrl,
+      month,
+      monthSource,
+      sourceSheetName,
+      nextRow: 2,
+      processedCount: 0,
+      matchedCount: 0,
+      reviewCount: 0,
+      errorCount: 0,
+      rejectedWriteCount: 0,
+      unpostedAmount: 0,
+      status: 'running',
+      executions: 0,
+      startedAt: new Date().toISOString()
+    };
+    return execute(state);
+  }
+
+  /**
+   * Schedules the continuation of a run whose execution was killed (e.g. by the execution time limit)
+   * or whose trigger was lost: it is still 'running' or 'scheduled' but has not checkpointed for a while
+   * @returns {ReconciliationRunState|null} The rescheduled run, or null when none needed it
+   */
+  function rescheduleStaleRun() {
+    const state = getState();
+    if (!state || (state.status !== 'running' && state.status !== 'scheduled') || isInProgress(state)) {
+      return null;
+    }
+
+    console.log(`Run ${state.runId} had no checkpoint since ${state.updatedAt}; continuing it at row ${state.nextRow}`);
+    state.status = 'scheduled';
+    saveState(state);
+    scheduleContinuation();
+    return state;
+  }
+
+  /**
+   * Continues the current run (trigger execution or manual resume of a failed run)
+   * @returns {ReconciliationRunState|null} Updated state, or null when there is nothing to continue
+   */
+  function resume() {
+    const state = getState();
+    if (!state || state.status === 'completed') {
+      deleteTriggers();
+      return null;
+    }
+    return execute(state);
+  }
+
+  return {
+    getState,
+    isInProgress,
+    start,
+    resume,
+    rescheduleStaleRun
+  };
+}
+
+/**
+ * Time-driven trigger handler that continues an interrupted reconciliation run
+ */
+function continuePLReconciliation() {
+  createReconciliationRunner().resume();
+}
@@ -0,0 +1,183 @@
+/**
+ * Review queue for Procesare_Facturi
+ * Holds matches whose confidence is between the review and auto-post thresholds
+ * until a person accepts, rejects or corrects them
+ */
+
+/**
+ * Match waiting for review
+ * @typedef {Object} ReviewItem
+ * @property {number} row - Source sheet row number (1-based)
+ * @property {string} supplier - Furnizor from the source row
+ * @property {number} amount - Suma in EUR from the source row
+ * @property {string} reference - Suggested P&L reference (e.g. "Expenses!C14")
+ * @property {string} plName - P&L line name at the suggested reference
+ * @property {number} confidence - Match confidence (0.0-1.0)
+ * @property {string} explanation - Matching explanation
+ * @property {string} [month] - Month the invoice is posted to (e.g. "October"), when it differs per invoice
+ */
+
+/**
+ * Creates a review queue service instance
+ * @return {Object} Review queue methods
+ */
+function createReviewQueueService() {
+  const spreadsheet = SpreadsheetApp.getActiveSpreadsheet();
+  const sheetName = 'Review_Queue';
+  const headers = [
+    'Queued', 'Run ID', 'P&L URL', 'Month', 'Source Sheet', 'Source Row', 'Supplier', 'Amount (EUR)',
+    'Suggested Reference', 'P&L Line Name', 'Confidence', 'Explanation', 'Decision', 'Other Reference', 'Status',
+    'Month Source'
+  ];
+  const columns = {
+    plUrl: 3,
+    month: 4,
+    sourceSheet: 5,
+    sourceRow: 6,
+    supplier: 7,
+    amount: 8,
+    reference: 9,
+    decision: 13,
+    otherReference: 14,
+    status: 15,
+    monthSource: 16
+  };
+  const decisions = ['Accept', 'Reject', 'Other reference'];
+
+  /**
+   * Gets the review queue sheet, creating it if needed
+   * @private
+   */
+  function getQueueSheet() {
+    let sheet = spreadsheet.getSheetByName(sheetName);
+    if (!sheet) {
+      sheet = spreadsheet.insertSheet(sheetName);
+      sheet.getRange(1, 1, 1, headers.length).setValues([headers]).setFontWeight('bold');
+      sheet.setFrozenRows(1);
+    } else if (sheet.getLastColumn() < headers.length) {
+      // Queue created before the month source was kept
+      sheet.getRange(1, 1, 1, headers.length).setValues([headers]).setFontWeight('bold');
+    }
+    return sheet;
+  }
+
+  /**
+   * Adds matches to the review queue with a decision dropdown
+   * @param {ReviewItem[]} items - Matches to review
+   * @param {{runId: string, plUrl: string, month: string, monthSource: string, sourceSheetName: string}} context - Run
+   *   that produced them; its month source (see createPLReconciliationService) is used again when posting
+   */
+  function enqueue(items, context) {
+    if (items.length === 0) return;
+
+    const sheet = getQueueSheet();
+    const firstRow = sheet.getLastRow() + 1;
+    const rows = items.map(item => [
+      new Date(),
+      context.runId,
+      context.plUrl,
+      item.month || context.month,
+      context.sourceSheetName,
+      item.row,
+      item.supplier,
+      item.amount,
+      item.reference,
+      item.plName || '',
+      item.confidence,
+      item.explanation || '',
+      '',
+      '',
+      '',
+      context.monthSource || 'fixed'
+    ]);
+    sheet.getRange(firstRow, 1, rows.length, headers.length).setValues(rows);
+
+    const rule = SpreadsheetApp.newDataValidation()
+      .requireValueInList(decisions, true)
+      .setAllowInvalid(false)
+      .build();
+    sheet.getRange(firstRow, columns.decision, rows.length, 1).setDataValidation(rule);
+  }
+
+  /**
+   * Posts accepted rows, records rejected ones and marks each decided row with its outcome.
+   * Accepted and corrected matches become user aliases; rejected suggestions are remembered
+   * so the same supplier/reference pair is not queued again. Rows marked "Failed:" are tried again,
+   * so their decision can be corrected and applied once the cause is fixed.
+   * @returns {{postedCount: number, rejectedCount: number, failedCount: number, pendingCount: number}}
+   */
+  function processDecisions() {
+    const sheet = getQueueSheet();
+    const lastRow = sheet.getLastRow();
+    const result = { postedCount: 0, rejectedCount: 0, failedCount: 0, pendingCount: 0 };
+    if (lastRow < 2) return result;
+
+    const services = {};
+    function getService(row) {
+      const plUrl = row[columns.plUrl - 1];
+      const month = row[columns.month - 1];
+      const sourceSheetName = row[columns.sourceSheet - 1];
+      // Rows queued before the month source was kept were posted to their month column
+      const monthSource = row[columns.monthSource - 1] || 'fixed';
+      const key = `${plUrl}|${month}|${sourceSheetName}|${monthSource}`;
+      if (!services[key]) {
+        services[key] = createPLReconciliationService(plUrl, month, { sourceSheetName, monthSource });
+      }
+      return services[key];
+    }
+
+    const data = sheet.getRange(2, 1, lastRow - 1, headers.length).getValues();
+    data.forEach((row, index) => {
+      const status = row[columns.status - 1].toString();
+      if (status !== '' && !status.startsWith('Failed:')) return;
+
+      const decision = row[columns.decision - 1];
+      if (!decision) {
+        result.pendingCount++;
+        return;
+      }
+
+      const queueRow = index + 2;
+      const statusCell = sheet.getRange(queueRow, columns.status);
+      const sourceRow = row[columns.sourceRow - 1];
+      const entry = { supplier: row[columns.supplier - 1], amount: row[columns.amount - 1] };
+
+      try {
+        const service = getService(row);
+        if (decision === 'Reject') {
+          service.rejectSuggestedEntry(sourceRow, entry, row[columns.reference - 1]);
+          statusCell.setValue(`Rejected ${new Date().toISOString()}`);
+          sheet.getRange(queueRow, 1, 1, headers.length).setBackground('#cccccc'); // Gray
+          result.rejectedCount++;
+          return;
+        }
+
+        const reference = decision === 'Other reference'
+          ? row[columns.otherReference - 1]
+          : row[columns.reference - 1];
+        if (!reference) {
+          throw new Error('"Other reference" needs a reference in the Other Reference column');
+        }
+
+        const posting = service.postApprovedEntry(sourceRow, entry, reference);
+        statusCell.setValue(`Posted ${posting.targetCell}: ${posting.oldValue} -> ${posting.newValue}`);
+        sheet.getRange(queueRow, 1, 1, headers.length).setBackground('#b7e1cd'); // Green
+        result.postedCount++;
+      } catch (error) {
+        console.error(`Failed to process review row ${queueRow}:`, error);
+        statusCell.setValue(`Failed: ${error.message}`);
+        statusCell.setBackground('#f4c7c3'); // Red
+        result.failedCount++;
+      }
+    });
+
+    return result;
+  }
+
+  return {
+    sheetName,
+    getQueueSheet,
+    enqueue,
+    processDecisions
+  };
+}
@@ -0,0 +1,251 @@
+/**
+ * Run journal for Procesare_Facturi
+ * Records every cell written by a reconciliation run so the run can be undone
+ */
+
+/**
+ * Journal entry as stored in the Reconciliation_Journal sheet
+ * @typedef {Object} JournalEntry
+ * @property {string} runId - Id of the run that made the write
+ * @property {string} spreadsheetUrl - URL of the spreadsheet that was written
+ * @property {string} sheetName - Sheet that was written
+ * @property {string} cell - A1 notation of the written cell
+ * @property {*} oldValue - Cell value before the write
+ * @property {*} newValue - Cell value written by the run
+ * @property {number} sourceRow - Invoice row that caused the write (1-based)
+ * @property {string} change - What was written: 'amount', 'reconciled flag' or 'match status'
+ * @property {string} [oldBackground] - Cell background before the write (e.g. "#ffffff")
+ */
+
+/**
+ * Creates a run journal service instance
+ * @return {Object} Run journal methods
+ */
+function createRunJournalService() {
+  const spreadsheet = SpreadsheetApp.getActiveSpreadsheet();
+  const properties = PropertiesService.getDocumentProperties();
+  const sheetName = 'Reconciliation_Journal';
+  const lastRunProperty = 'LAST_RECONCILIATION_RUN_ID';
+  const headers = [
+    'Run ID', 'Timestamp', 'Target Spreadsheet', 'Sheet', 'Cell',
+    'Old Value', 'New Value', 'Source Row', 'Change', 'Undone', 'Old Background'
+  ];
+  const undoneColumn = 10;
+
+  // Entries journaled before the old background was recorded restore the color of their match status
+  const matchStatusColors = {
+    'No match': '#cccccc',
+    'Needs review': '#f9cb9c',
+    'Error': '#f4c7c3',
+    'Write rejected': '#d9d2e9',
+    'Duplicate?': '#c9daf8',
+    'Duplicate': '#cccccc'
+  };
+
+  /**
+   * Gets the journal sheet, creating it if needed
+   * @private
+   */
+  function getJournalSheet() {
+    let sheet = spreadsheet.getSheetByName(sheetName);
+    if (!sheet) {
+      sheet = spreadsheet.insertSheet(sheetName);
+      sheet.getRange(1, 1, 1, headers.length).setValues([headers]).setFontWeight('bold');
+      sheet.setFrozenRows(1);
+    } else if (sheet.getLastColumn() < headers.length) {
+      // Journal created before the Old Background column
+      sheet.getRange(1, 1, 1, headers.length).setValues([headers]).setFontWeight('bold');
+    }
+    return sheet;
+  }
+
+  /**
+   * Reads all journal entries with their sheet row numbers
+   * @private
+   * @returns {Array<JournalEntry & {journalRow: number, timestamp: Date, undone: string}>}
+   */
+  function readEntries() {
+    const sheet = getJournalSheet();
+    const lastRow = sheet.getLastRow();
+    if (lastRow < 2) return [];
+
+    return sheet.getRange(2, 1, lastRow - 1, headers.length).getValues().map((row, index) => ({
+      journalRow: index + 2,
+      runId: row[0].toString(),
+      timestamp: row[1],
+      spreadsheetUrl: row[2],
+      sheetName: row[3],
+      cell: row[4],
+      oldValue: row[5],
+      newValue: row[6],
+      sourceRow: row[7],
+      change: row[8],
+      undone: row[9],
+      oldBackground: row[10]
+    }));
+  }
+
+  /**
+   * Compares a journaled value with the current cell value
+   * @private
+   */
+  function valuesEqual(a, b) {
+    if (typeof a === 'number' && typeof b === 'number') {
+      return Math.abs(a - b) < 1e-9;
+    }
+    return (a === null || a === undefined ? '' : a).toString() === (b === null || b === undefined ? '' : b).toString();
+  }
+
+  /**
+   * Generates a new run id (e.g. "RUN-20250105-143012-1a2b")
+   * @returns {string}
+   */
+  function createRunId() {
+    const timestamp = Utilities.formatDate(new Date(), Session.getScriptTimeZone(), 'yyyyMMdd-HHmmss');
+    return `RUN-${timestamp}-${Utilities.getUuid().slice(0, 4)}`;
+  }
+
+  /**
+   * Appends one write to the journal
+   * @param {JournalEntry} entry - The write to record
+   */
+  function record(entry) {
+    getJournalSheet().appendRow([
+      entry.runId,
+      new Date(),
+      entry.spreadsheetUrl,
+      entry.sheetName,
+      entry.cell,
+      entry.oldValue,
+      entry.newValue,
+      entry.sourceRow,
+      entry.change,
+      '',
+      entry.oldBackground || ''
+    ]);
+
+    if (properties.getProperty(lastRunProperty) !== entry.runId) {
+      properties.setProperty(lastRunProperty, entry.runId);
+    }
+  }
+
+  /**
+   * Gets the id of the last run that wrote to the journal
+   * @returns {string|null}
+   */
+  function getLastRunId() {
+    return properties.getProperty(lastRunProperty);
+  }
+
+  /**
+   * Lists journaled runs, most recent first
+   * @param {number} [limit=10] - Maximum number of runs to return
+   * @returns {Array<{runId: string, startedAt: Date, writeCount: number, undone: boolean}>}
+   */
+  function listRuns(limit = 10) {
+    const runs = {};
+    readEntries().forEach(entry => {
+      if (!runs[entry.runId]) {
+        runs[entry.runId] = { runId: entry.runId, startedAt: entry.timestamp, writeCount: 0, undone: true };
+      }
+      runs[entry.runId].writeCount++;
+      if (!entry.undone) runs[entry.runId].undone = false;
+    });
+
+    return Object.values(runs)
+      .sort((a, b) => new Date(b.startedAt) - new Date(a.startedAt))
+      .slice(0, limit);
+  }
+
+  /**
+   * Restores every cell written by a run to its value and background before the run.
+   * A cell whose current value differs from the value the run wrote has been edited since
+   * and is reported as a conflict. Unless skipEdited is set, conflicts abort the undo
+   * before anything is restored. The run's Posting_Ledger records are undone with the cells.
+   * @param {string} runId - Run to undo
+   * @param {{skipEdited: boolean}} [options] - When skipEdited is true, edited cells are left as they are
+   * @returns {{restoredCount: number, conflicts: Array<{cell: string, expected: *, current: *}>, aborted: boolean}}
+   */
+  function undoRun(runId, options = {}) {
+    const entries = readEntries().filter(entry => entry.runId === runId && !entry.undone);
+    if (entries.length === 0) {
+      throw new Error(`No journal entries left to undo for run ${runId}`);
+    }
+
+    // A cell may be written several times in one run (e.g. two invoices on the same P&L line):
+    // it must still hold the last value written and is restored to the first old value.
+    const cells = {};
+    entries.forEach(entry => {
+      const key = `${entry.spreadsheetUrl}|${entry.sheetName}!${entry.cell}`;
+      if (!cells[key]) {
+        cells[key] = { first: entry, last: entry, entries: [] };
+      }
+      cells[key].last = entry;
+      cells[key].entries.push(entry);
+    });
+
+    const openedSpreadsheets = {};
+    function getRange(entry) {
+      if (!openedSpreadsheets[entry.spreadsheetUrl]) {
+        openedSpreadsheets[entry.spreadsheetUrl] = SpreadsheetApp.openByUrl(entry.spreadsheetUrl);
+      }
+      const sheet = openedSpreadsheets[entry.spreadsheetUrl].getSheetByName(entry.sheetName);
+      if (!sheet) {
+        throw new Error(`Sheet "${entry.sheetName}" no longer exists in ${entry.spreadsheetUrl}`);
+      }
+      return sheet.getRange(entry.cell);
+    }
+
+    const conflicts = [];
+    Object.values(cells).forEach(cell => {
+      const current = getRange(cell.last).getValue();
+      if (!valuesEqual(current, cell.last.newValue)) {
+        cell.conflict = true;
+        conflicts.push({
+          cell: `${cell.last.sheetName}!${cell.last.cell}`,
+          expected: cell.last.newValue,
+          current
+        });
+      }
+    });
+
+    if (conflicts.length > 0 && !options.skipEdited) {
+      return { restoredCount: 0, conflicts, aborted: true };
+    }
+
+    const journalSheet = getJournalSheet();
+    const undoneAt = new Date().toISOString();
+    let restoredCount = 0;
+
+    Object.values(cells).forEach(cell => {
+      const marker = cell.conflict ? `Skipped (edited since run) ${undoneAt}` : `Undone ${undoneAt}`;
+      if (!cell.conflict) {
+        const range = getRange(cell.first);
+        range.setValue(cell.first.oldValue);
+        if (cell.first.oldBackground) {
+          range.setBackground(cell.first.oldBackground);
+        } else if (cell.first.change === 'match status') {
+          range.setBackground(matchStatusColors[cell.first.oldValue] || null);
+        }
+        restoredCount++;
+      }
+      cell.entries.forEach(entry => journalSheet.getRange(entry.journalRow, undoneColumn).setValue(marker));
+    });
+
+    // Postings whose amount was taken back no longer block the invoice from being posted again
+    const keptCells = new Set(Object.values(cells)
+      .filter(cell => cell.conflict)
+      .map(cell => `${cell.last.spreadsheetUrl}|${cell.last.sheetName}!${cell.last.cell}`));
+    createPostingLedgerService().undoRun(runId, keptCells);
+
+    return { restoredCount, conflicts, aborted: false };
+  }
+
+  return {
+    createRunId,
+    record,
+    getLastRunId,
+    listRuns,
+    undoRun
+  };
+}
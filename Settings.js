@@ -0,0 +1,293 @@
+/**
+ * Settings for Procesare_Facturi
+ * Stores user-editable configuration in the Settings sheet of the invoice workbook:
+ * confidence bands and the header names of the columns the tool reads and writes
+ */
+
+/**
+ * Setting as stored in the Settings sheet
+ * @typedef {Object} SettingDefinition
+ * @property {string} scope - Group of the setting (e.g. "Reconciliation")
+ * @property {string} key - Setting name, unique within its scope
+ * @property {*} value - Default value; numeric defaults make the stored value numeric
+ * @property {string} description - Help text shown in the sheet
+ */
+
+/**
+ * Settings created with their default value when missing from the sheet
+ * @type {SettingDefinition[]}
+ */
+const DEFAULT_SETTINGS = [
+  {
+    scope: 'Reconciliation',
+    key: 'autoPostThreshold',
+    value: 0.85,
+    description: 'Matches with at least this confidence are posted automatically'
+  },
+  {
+    scope: 'Reconciliation',
+    key: 'reviewThreshold',
+    value: 0.5,
+    description: 'Matches with at least this confidence (below autoPostThreshold) go to the Review_Queue; lower ones are rejected'
+  },
+  {
+    scope: 'Reconciliation',
+    key: 'maxPostingAmount',
+    value: '',
+    description: 'Largest amount (EUR, absolute value) a single posting may add to a P&L cell; empty for no limit'
+  },
+  {
+    scope: 'Number locale',
+    key: 'default',
+    value: '',
+    description: 'How to read "1,234" and "1.234": ro (decimal comma), en (decimal point) or empty to report them; add a row with a sheet name as key to override per sheet'
+  },
+  {
+    scope: 'Duplicates',
+    key: 'nearDuplicateDays',
+    value: 3,
+    description: 'Invoices of the same supplier and amount issued at most this many days apart are suspected duplicates'
+  },
+  {
+    scope: 'Spreading',
+    key: 'method',
+    value: 'pro rata',
+    description: 'How a service period is split across months: "pro rata" (by days in each month) or "even"'
+  },
+  { scope: 'Bank payments', key: 'paidStatus', value: 'Paid', description: 'Status of an invoice settled in full' },
+  { scope: 'Bank payments', key: 'partiallyPaidStatus', value: 'Partially paid', description: 'Status of an invoice with an amount still to be paid' },
+  {
+    scope: 'LLM',
+    key: 'inputCostPerMillionTokens',
+    value: 3,
+    description: 'Price of one million input tokens (USD), used for cost estimates'
+  },
+  {
+    scope: 'LLM',
+    key: 'outputCostPerMillionTokens',
+    value: 15,
+    description: 'Price of one million output tokens (USD), used for cost estimates'
+  },
+  {
+    scope: 'LLM',
+    key: 'runTokenBudget',
+    value: '',
+    description: 'Input plus output tokens a reconciliation run may use before it stops; empty for no limit'
+  },
+  {
+    scope: 'LLM',
+    key: 'runCostBudget',
+    value: '',
+    description: 'Estimated cost (USD) a reconciliation run may spend before it stops; empty for no limit'
+  },
+  {
+    scope: 'LLM',
+    key: 'logFullPrompts',
+    value: false,
+    description: 'TRUE to keep the full prompt text in LLM_Logs (otherwise only its hash)'
+  },
+
+  // Column mapping: logical field -> header name. Source headers are on row 1, P&L headers on row 2.
+  { scope: 'Source columns', key: 'documentType', value: 'Factura / Bon', description: 'Document type (invoice, receipt, credit note)' },
+  { scope: 'Source columns', key: 'supplier', value: 'Furnizor', description: 'Supplier name' },
+  { scope: 'Source columns', key: 'invoiceNumber', value: 'Numar', description: 'Invoice number' },
+  { scope: 'Source columns', key: 'vatAmount', value: 'Suma TVA', description: 'VAT amount in the invoice currency' },
+  { scope: 'Source columns', key: 'amount', value: 'Suma', description: 'Invoice amount in the invoice currency' },
+  { scope: 'Source columns', key: 'remainingAmount', value: 'Suma ramasa', description: 'Amount still to be paid' },
+  { scope: 'Source columns', key: 'paymentStatus', value: 'Status', description: 'Payment status set by the bank statement import' },
+  {
+    scope: 'Source columns',
+    key: 'paymentReference',
+    value: 'Referinta plata',
+    description: 'Bank payments settling the invoice (added by the bank statement import when missing)'
+  },
+  {
+    scope: 'Source columns',
+    key: 'supplierIban',
+    value: '',
+    description: 'Supplier IBAN, used to recognise bank payments; leave empty when the sheet has no IBAN column'
+  },
+  { scope: 'Source columns', key: 'currency', value: 'Moneda', description: 'Invoice currency' },
+  { scope: 'Source columns', key: 'issueDate', value: 'Data emitere', description: 'Invoice issue date' },
+  { scope: 'Source columns', key: 'dueDate', value: 'Scadenta', description: 'Invoice due date' },
+  { scope: 'Source columns', key: 'uploadDate', value: 'Data upload', description: 'Date the invoice was uploaded' },
+  {
+    scope: 'Source columns',
+    key: 'servicePeriodStart',
+    value: '',
+    description: 'First day of the period the invoice pays for, used to allocate it to a month; empty when the sheet has none'
+  },
+  {
+    scope: 'Source columns',
+    key: 'servicePeriodEnd',
+    value: '',
+    description: 'Last day of the period the invoice pays for; with the start, the amount is spread over the months between'
+  },
+  { scope: 'Source columns', key: 'amountEur', value: 'Suma in EUR', description: 'Amount posted to the P&L' },
+  { scope: 'Source columns', key: 'matchStatus', value: 'Matched P&L', description: 'Match reference or status written by reconciliation' },
+  { scope: 'Source columns', key: 'eurRon', value: 'EUR/RON', description: 'EUR/RON rate used for "Suma in EUR"' },
+  {
+    scope: 'Source columns',
+    key: 'rateDate',
+    value: '',
+    description: 'Date of the BNR rate used for "Suma in EUR"; leave empty when the sheet has no column for it'
+  },
+  { scope: 'Expenses columns', key: 'name', value: 'Furnizor', description: 'P&L line name matched against suppliers' },
+  {
+    scope: 'Expenses columns',
+    key: 'reconciledFlag',
+    value: 'Reconciled',
+    description: 'Header of the column set to "yes" on posted lines (formerly column AC); runs stop when it is missing, empty: not marked'
+  },
+  { scope: 'Staffing columns', key: 'name', value: 'Partener', description: 'P&L line name matched against suppliers' }
+];
+
+/**
+ * Creates a settings service instance
+ * @return {Object} Settings methods
+ */
+function createSettingsService() {
+  const spreadsheet = SpreadsheetApp.getActiveSpreadsheet();
+  const sheetName = 'Settings';
+  const headers = ['Scope', 'Key', 'Value', 'Description'];
+
+  let settingsCache = null;
+
+  /**
+   * Gets the settings sheet, creating it and adding missing default settings
+   * @private
+   */
+  function getSettingsSheet() {
+    let sheet = spreadsheet.getSheetByName(sheetName);
+    if (!sheet) {
+      sheet = spreadsheet.insertSheet(sheetName);
+      sheet.getRange(1, 1, 1, headers.length).setValues([headers]).setFontWeight('bold');
+      sheet.setFrozenRows(1);
+    }
+    return sheet;
+  }
+
+  /**
+   * Reads all settings as "scope|key" -> value, adding missing defaults to the sheet
+   * @private
+   * @returns {Object<string, *>}
+   */
+  function loadSettings() {
+    if (settingsCache) return settingsCache;
+
+    const sheet = getSettingsSheet();
+    const lastRow = sheet.getLastRow();
+    const rows = lastRow > 1 ? sheet.getRange(2, 1, lastRow - 1, headers.length).getValues() : [];
+
+    settingsCache = {};
+    rows.forEach(([scope, key, value]) => {
+      if (scope && key) {
+        settingsCache[`${scope.toString().trim()}|${key.toString().trim()}`] = value;
+      }
+    });
+
+    const missing = DEFAULT_SETTINGS.filter(setting => !(`${setting.scope}|${setting.key}` in settingsCache));
+    if (missing.length > 0) {
+      sheet.getRange(sheet.getLastRow() + 1, 1, missing.length, headers.length)
+        .setValues(missing.map(setting => [setting.scope, setting.key, setting.value, setting.description]));
+      missing.forEach(setting => {
+        settingsCache[`${setting.scope}|${setting.key}`] = setting.value;
+      });
+    }
+    return settingsCache;
+  }
+
+  /**
+   * Gets a setting value
+   * @param {string} scope - Setting scope
+   * @param {string} key - Setting key
+   * @returns {*} Stored value, converted to a number or boolean when the default is one
+   */
+  function get(scope, key) {
+    const value = loadSettings()[`${scope}|${key}`];
+    const definition = DEFAULT_SETTINGS.find(setting => setting.scope === scope && setting.key === key);
+
+    if (definition && typeof definition.value === 'number') {
+      const number = Number(value);
+      if (value === '' || !isFinite(number)) {
+        throw new Error(`Setting ${scope} / ${key} must be a number, found "${value}"`);
+      }
+      return number;
+    }
+    if (definition && typeof definition.value === 'boolean') {
+      return value === true || value.toString().trim().toUpperCase() === 'TRUE';
+    }
+    return value === undefined && definition ? definition.value : value;
+  }
+
+  /**
+   * Resolves the mapped columns of a sheet from its header row.
+   * Every requested field must be mapped to a header that appears exactly once;
+   * all problems are reported together so the Settings sheet can be fixed in one go.
+   * @param {string} scope - Mapping scope (e.g. "Source columns")
+   * @param {Array<*>} headerRow - Header row values of the sheet
+   * @param {string} sheetName - Sheet name, used in error messages
+   * @param {string[]} fields - Logical fields to resolve
+   * @param {string[]} [optionalFields] - Fields that may be left empty in Settings to disable them
+   * @returns {Object<string, number>} Zero-based column index per field; -1 for a disabled optional field
+   */
+  function getColumnMap(scope, headerRow, sheetName, fields, optionalFields = []) {
+    const headers = headerRow.map(header => header.toString().trim());
+    const columnMap = {};
+    const problems = [];
+
+    fields.forEach(field => {
+      const header = (get(scope, field) || '').toString().trim();
+      if (!header) {
+        if (optionalFields.includes(field)) {
+          columnMap[field] = -1;
+        } else {
+          problems.push(`no header set for "${field}"`);
+        }
+        return;
+      }
+
+      const positions = [];
+      headers.forEach((value, index) => {
+        if (value === header) positions.push(index + 1);
+      });
+
+      if (positions.length === 0) {
+        problems.push(`header "${header}" (${field}) not found`);
+      } else if (positions.length > 1) {
+        problems.push(`header "${header}" (${field}) appears in columns ${positions.join(', ')}`);
+      } else {
+        columnMap[field] = positions[0] - 1;
+      }
+    });
+
+    if (problems.length > 0) {
+      throw new Error(`Column mapping of sheet "${sheetName}" (Settings scope "${scope}"): ${problems.join('; ')}`);
+    }
+    return columnMap;
+  }
+
+  /**
+   * Gets the reconciliation confidence bands
+   * @returns {{autoPostThreshold: number, reviewThreshold: number}}
+   */
+  function getConfidenceBands() {
+    const autoPostThreshold = get('Reconciliation', 'autoPostThreshold');
+    const reviewThreshold = get('Reconciliation', 'reviewThreshold');
+    if (reviewThreshold < 0 || autoPostThreshold > 1 || reviewThreshold > autoPostThreshold) {
+      throw new Error(`Invalid confidence bands: need 0 <= reviewThreshold (${reviewThreshold}) <= autoPostThreshold (${autoPostThreshold}) <= 1`);
+    }
+    return { autoPostThreshold, reviewThreshold };
+  }
+
+  return {
+    sheetName,
+    getSettingsSheet: () => {
+      loadSettings();
+      return getSettingsSheet();
+    },
+    get,
+    getColumnMap,
+    getConfidenceBands
+  };
+}
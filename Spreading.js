@@ -0,0 +1,135 @@
+/**
+ * Spreading of multi-month invoices for Procesare_Facturi
+ * Splits the amount of an invoice covering several months (annual licences, quarterly rent,
+ * insurance) across the month columns of the period instead of posting it to a single month
+ */
+
+/**
+ * Amount posted to one month of a spread
+ * @typedef {Object} MonthPortion
+ * @property {number} year - Calendar year
+ * @property {number} month - Month (1-12)
+ * @property {number} amount - Amount of that month, in cents precision
+ */
+
+/**
+ * Splits an amount over the months of a period. Portions are rounded to cents and the rounding
+ * remainder goes to the last month, so the portions always add up to the amount.
+ * @param {number} amount - Amount to split
+ * @param {Date} start - First day of the period
+ * @param {Date} end - Last day of the period (inclusive)
+ * @param {string} method - 'pro rata' (by days in each month) or 'even' (same amount per month)
+ * @returns {MonthPortion[]} One portion per calendar month from start to end
+ */
+function splitAmountByMonths(amount, start, end, method) {
+  const dayMs = 24 * 60 * 60 * 1000;
+  // Whole days between two dates, immune to daylight saving changes
+  const dayNumber = date => Math.round(Date.UTC(date.getFullYear(), date.getMonth(), date.getDate()) / dayMs);
+
+  const months = [];
+  for (let year = start.getFullYear(), month = start.getMonth(); year < end.getFullYear() ||
+      (year === end.getFullYear() && month <= end.getMonth()); month === 11 ? (year++, month = 0) : month++) {
+    const first = Math.max(dayNumber(new Date(year, month, 1)), dayNumber(start));
+    const last = Math.min(dayNumber(new Date(year, month + 1, 0)), dayNumber(end));
+    months.push({ year, month: month + 1, days: last - first + 1 });
+  }
+
+  const totalDays = months.reduce((sum, month) => sum + month.days, 0);
+  const cents = Math.round(amount * 100);
+  let allocated = 0;
+  return months.map((month, index) => {
+    const share = method === 'even' ? 1 / months.length : month.days / totalDays;
+    const portion = index === months.length - 1 ? cents - allocated : Math.round(cents * share);
+    allocated += portion;
+    return { year: month.year, month: month.month, amount: portion / 100 };
+  });
+}
+
+/**
+ * Creates a spreading rule service: per-supplier defaults for invoices without a service period
+ * @return {Object} Spreading rule methods
+ */
+function createSpreadingRuleService() {
+  const spreadsheet = SpreadsheetApp.getActiveSpreadsheet();
+  const sheetName = 'Spreading_Rules';
+  const headers = ['Supplier', 'Months', 'Method', 'Note'];
+  const methods = ['pro rata', 'even'];
+
+  let ruleCache = null;
+
+  /**
+   * Gets the rules sheet, creating it if needed
+   * @returns {Sheet}
+   */
+  function getRulesSheet() {
+    let sheet = spreadsheet.getSheetByName(sheetName);
+    if (!sheet) {
+      sheet = spreadsheet.insertSheet(sheetName);
+      sheet.getRange(1, 1, 1, headers.length).setValues([headers]).setFontWeight('bold');
+      sheet.setFrozenRows(1);
+      sheet.getRange(2, 3, sheet.getMaxRows() - 1, 1).setDataValidation(
+        SpreadsheetApp.newDataValidation().requireValueInList(methods, true).setAllowInvalid(false).build());
+    }
+    return sheet;
+  }
+
+  /**
+   * Reads the rules, keyed by normalized supplier
+   * @private
+   */
+  function loadRules() {
+    if (ruleCache) return ruleCache;
+
+    ruleCache = {};
+    const sheet = getRulesSheet();
+    if (sheet.getLastRow() < 2) return ruleCache;
+
+    sheet.getRange(2, 1, sheet.getLastRow() - 1, headers.length).getValues().forEach((row, index) => {
+      const key = normalizeSupplierKey(row[0]);
+      const months = Number(row[1]);
+      const method = (row[2] || 'pro rata').toString().trim().toLowerCase();
+      if (!key) return;
+      if (!Number.isInteger(months) || months < 1 || !methods.includes(method)) {
+        console.warn(`Spreading rule on row ${index + 2} ignored: months must be a whole number and method one of ${methods.join(', ')}`);
+        return;
+      }
+      ruleCache[key] = { supplier: row[0].toString().trim(), months, method };
+    });
+    return ruleCache;
+  }
+
+  /**
+   * Finds the spreading rule of a supplier
+   * @param {string} supplier - Supplier name as on the invoice
+   * @returns {{supplier: string, months: number, method: string}|null}
+   */
+  function lookup(supplier) {
+    return loadRules()[normalizeSupplierKey(supplier)] || null;
+  }
+
+  /**
+   * Period a rule spreads over: the given number of months from the start date.
+   * Pro rata periods end the day before the same date N months later; even periods cover N calendar months.
+   * @param {{months: number, method: string}} rule - Spreading rule
+   * @param {Date} start - First day (invoice date or service start)
+   * @returns {{start: Date, end: Date}}
+   */
+  function periodOf(rule, start) {
+    if (rule.method === 'even') {
+      return { start, end: new Date(start.getFullYear(), start.getMonth() + rule.months, 0) };
+    }
+
+    // 31 January + 1 month is 28 February, not 3 March
+    const daysInEndMonth = new Date(start.getFullYear(), start.getMonth() + rule.months + 1, 0).getDate();
+    const sameDay = Math.min(start.getDate(), daysInEndMonth);
+    return { start, end: new Date(start.getFullYear(), start.getMonth() + rule.months, sameDay - 1) };
+  }
+
+  return {
+    sheetName,
+    methods,
+    getRulesSheet,
+    lookup,
+    periodOf
+  };
+}
@@ -0,0 +1,258 @@
+/**
+ * Supplier alias memory for Procesare_Facturi
+ * Remembers confirmed supplier -> P&L line matches so known suppliers skip the LLM, and the
+ * references reviewers rejected (one row per supplier and rejected reference, apart from the alias)
+ */
+
+/**
+ * Alias as stored in the Supplier_Aliases sheet
+ * @typedef {Object} SupplierAlias
+ * @property {number} row - Sheet row of the alias (1-based)
+ * @property {string} key - Normalized invoice supplier name
+ * @property {string} supplier - Supplier name as it appeared on the invoice
+ * @property {string} reference - Confirmed P&L reference (e.g. "Expenses!C14")
+ * @property {string} plName - Name found at the reference when the alias was confirmed
+ * @property {string} source - 'auto' (high-confidence match) or 'user' (confirmed by a person)
+ * @property {number} confidence - Confidence of the match that created the alias
+ * @property {string} status - 'Active' or 'Stale'; rejection rows: 'Rejected' (reference refused in review)
+ *   or 'Withdrawn' (the reference was confirmed later)
+ */
+
+/**
+ * Normalizes a supplier name into the key used to group invoices and look up aliases.
+ * Legal forms, diacritics, punctuation and case are ignored (see normalizeCompanyName).
+ * @param {string} name - Supplier name
+ * @returns {string} Normalized key ('' for empty names)
+ */
+function normalizeSupplierKey(name) {
+  return normalizeCompanyName(name);
+}
+
+/**
+ * Creates a supplier alias service instance
+ * @return {Object} Supplier alias methods
+ */
+function createSupplierAliasService() {
+  const spreadsheet = SpreadsheetApp.getActiveSpreadsheet();
+  const sheetName = 'Supplier_Aliases';
+  const headers = [
+    'Normalized Supplier', 'Supplier Name', 'P&L Reference', 'P&L Name',
+    'Source', 'Confidence', 'Status', 'Updated'
+  ];
+  const statusColumn = 7;
+
+  // Minimum LLM confidence for a match to be remembered automatically
+  const autoLearnConfidence = 0.9;
+
+  let aliasCache = null;
+  let rejectionCache = null;
+
+  /**
+   * Gets the alias sheet, creating it if needed
+   * @private
+   */
+  function getAliasSheet() {
+    let sheet = spreadsheet.getSheetByName(sheetName);
+    if (!sheet) {
+      sheet = spreadsheet.insertSheet(sheetName);
+      sheet.getRange(1, 1, 1, headers.length).setValues([headers]).setFontWeight('bold');
+      sheet.setFrozenRows(1);
+    }
+    return sheet;
+  }
+
+  /**
+   * Reads all aliases, keyed by normalized supplier name, and the rejections, keyed by
+   * normalized supplier name and reference.
+   * Keys are rebuilt from the supplier name, so hand-edited rows and rows written under an earlier
+   * normalization still match.
+   * @private
+   * @returns {Object<string, SupplierAlias>}
+   */
+  function loadAliases() {
+    if (aliasCache) return aliasCache;
+
+    const sheet = getAliasSheet();
+    const lastRow = sheet.getLastRow();
+    aliasCache = {};
+    rejectionCache = {};
+    if (lastRow < 2) return aliasCache;
+
+    sheet.getRange(2, 1, lastRow - 1, headers.length).getValues().forEach((row, index) => {
+      const key = normalizeSupplierKey(row[1] || row[0]);
+      if (!key || !row[2]) return;
+
+      const alias = {
+        row: index + 2,
+        key,
+        supplier: row[1].toString(),
+        reference: row[2].toString().trim(),
+        plName: row[3].toString(),
+        source: row[4].toString() || 'user',
+        confidence: Number(row[5]) || 0,
+        status: row[6].toString() || 'Active'
+      };
+      if (alias.status === 'Rejected') {
+        rejectionCache[`${key}|${alias.reference}`] = alias;
+      } else if (alias.status !== 'Withdrawn') {
+        aliasCache[key] = alias;
+      }
+    });
+    return aliasCache;
+  }
+
+  /**
+   * Reads the rejections, keyed by normalized supplier name and reference
+   * @private
+   * @returns {Object<string, SupplierAlias>}
+   */
+  function loadRejections() {
+    loadAliases();
+    return rejectionCache;
+  }
+
+  /**
+   * Finds the active alias for a supplier
+   * @param {string} supplier - Supplier name from the invoice
+   * @returns {SupplierAlias|null}
+   */
+  function lookup(supplier) {
+    const alias = loadAliases()[normalizeSupplierKey(supplier)];
+    return alias && alias.status === 'Active' ? alias : null;
+  }
+
+  /**
+   * Checks that the P&L line of an alias still carries the name it was confirmed with.
+   * An alias whose row has moved or been renamed is marked Stale and must not be used.
+   * @param {SupplierAlias} alias - Alias to check
+   * @param {string|undefined} currentName - Name currently found at alias.reference
+   * @returns {boolean} True when the alias is still valid
+   */
+  function verify(alias, currentName) {
+    if (normalizeSupplierKey(currentName) === normalizeSupplierKey(alias.plName)) {
+      return true;
+    }
+
+    console.log(`Alias for "${alias.supplier}" is stale: ${alias.reference} now holds "${currentName || ''}", expected "${alias.plName}"`);
+    getAliasSheet().getRange(alias.row, statusColumn, 1, 2).setValues([['Stale', new Date()]]);
+    alias.status = 'Stale';
+    return false;
+  }
+
+  /**
+   * Stores or updates the alias of a supplier.
+   * Automatic matches never overwrite an alias confirmed by a user; a user confirming a reference
+   * withdraws an earlier rejection of it.
+   * @param {{supplier: string, reference: string, plName: string, source: string, confidence: number}} match - Confirmed match
+   * @returns {boolean} True when the alias was written
+   */
+  function remember(match) {
+    const key = normalizeSupplierKey(match.supplier);
+    if (!key || !match.reference) return false;
+
+    const aliases = loadAliases();
+    const existing = aliases[key];
+    if (match.source === 'auto') {
+      if (match.confidence < autoLearnConfidence) return false;
+      if (existing && existing.source === 'user' && existing.status !== 'Stale') return false;
+    } else {
+      const rejection = loadRejections()[`${key}|${match.reference}`];
+      if (rejection) {
+        getAliasSheet().getRange(rejection.row, statusColumn, 1, 2).setValues([['Withdrawn', new Date()]]);
+        delete rejectionCache[`${key}|${match.reference}`];
+      }
+    }
+    if (existing && existing.status === 'Active' && existing.reference === match.reference &&
+        existing.source === match.source) {
+      return false;
+    }
+
+    writeAlias(key, existing, {
+      supplier: match.supplier.toString().trim(),
+      reference: match.reference,
+      plName: match.plName,
+      source: match.source,
+      confidence: match.confidence,
+      status: 'Active'
+    });
+    return true;
+  }
+
+  /**
+   * Records that a reviewer rejected a suggested reference for a supplier, in a row of its own:
+   * the supplier's alias and its other rejections are kept. An automatic or stale alias to the
+   * rejected reference stops being used; an active user alias to it is left alone.
+   * @param {{supplier: string, reference: string, plName: string}} rejection - Rejected suggestion
+   * @returns {boolean} True when the rejection was written
+   */
+  function rememberRejection(rejection) {
+    const key = normalizeSupplierKey(rejection.supplier);
+    const reference = (rejection.reference || '').toString().trim();
+    if (!key || !reference) return false;
+
+    const existing = loadAliases()[key];
+    if (existing && existing.reference === reference) {
+      if (existing.source === 'user' && existing.status === 'Active') return false;
+      getAliasSheet().getRange(existing.row, statusColumn, 1, 2).setValues([['Stale', new Date()]]);
+      existing.status = 'Stale';
+    }
+    if (loadRejections()[`${key}|${reference}`]) return false;
+
+    const values = [key, rejection.supplier.toString().trim(), reference, rejection.plName, 'user', 0, 'Rejected', new Date()];
+    const sheet = getAliasSheet();
+    sheet.appendRow(values);
+    rejectionCache[`${key}|${reference}`] = {
+      row: sheet.getLastRow(),
+      key,
+      supplier: values[1],
+      reference,
+      plName: rejection.plName,
+      source: 'user',
+      confidence: 0,
+      status: 'Rejected'
+    };
+    return true;
+  }
+
+  /**
+   * Whether a reviewer rejected this reference for the supplier
+   * @param {string} supplier - Supplier name from the invoice
+   * @param {string} reference - Suggested P&L reference
+   * @returns {boolean}
+   */
+  function isRejected(supplier, reference) {
+    return Boolean(loadRejections()[`${normalizeSupplierKey(supplier)}|${(reference || '').toString().trim()}`]);
+  }
+
+  /**
+   * Writes an alias row, replacing the existing alias row of the supplier if any
+   * @private
+   */
+  function writeAlias(key, existing, alias) {
+    const values = [
+      key, alias.supplier, alias.reference, alias.plName,
+      alias.source, alias.confidence, alias.status, new Date()
+    ];
+    const sheet = getAliasSheet();
+    let row;
+    if (existing) {
+      row = existing.row;
+      sheet.getRange(row, 1, 1, headers.length).setValues([values]);
+    } else {
+      sheet.appendRow(values);
+      row = sheet.getLastRow();
+    }
+
+    loadAliases()[key] = { row, key, ...alias };
+  }
+
+  return {
+    sheetName,
+    getAliasSheet,
+    lookup,
+    verify,
+    remember,
+    rememberRejection,
+    isRejected
+  };
+}